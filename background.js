@@ -3,17 +3,59 @@
  * Handles tab updates and content script injection
  */
 
+importScripts('group-utils.js');
+
+/**
+ * Alarm that fires at the next schedule boundary
+ */
+const SCHEDULE_ALARM = 'group-schedule';
+
 /**
  * Initialize extension on install/startup
  */
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Google Calendar Group Manager installed');
+  updateScheduleAlarm();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateScheduleAlarm();
+});
+
+/**
+ * Allow content scripts to use session storage for per-tab active group state
+ */
+chrome.storage.session.setAccessLevel({
+  accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS'
+});
+
+/**
+ * Remove per-tab session state when a tab is closed
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  try {
+    const data = await chrome.storage.session.get(null);
+    const keys = Object.keys(data).filter(key =>
+      key.startsWith(`activeState_${tabId}_`) || key === getBadgeStateKey(tabId) || key === getSyncResultKey(tabId)
+    );
+    if (keys.length > 0) {
+      await chrome.storage.session.remove(keys);
+    }
+  } catch (error) {
+    console.error('Failed to clean up session state:', error);
+  }
 });
 
 /**
  * Listen for tab updates to inject content script when Google Calendar is loaded
  */
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // Clear the badge when the tab leaves Google Calendar
+  // (tab.url is only visible for hosts we have permission for, so other sites show up without one)
+  if (changeInfo.status === 'loading' && !(tab.url && tab.url.includes('calendar.google.com'))) {
+    await updateBadge(tabId, [], {});
+  }
+
   // Only proceed when the page is completely loaded
   if (changeInfo.status !== 'complete') return;
   
@@ -32,6 +74,55 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+/**
+ * Re-arm the schedule alarm when schedules or the fallback group change
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !(changes.schedules || changes.settings || changes.groups)) return;
+  updateScheduleAlarm();
+});
+
+/**
+ * Apply the scheduled group to every Google Calendar tab at each schedule boundary
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== SCHEDULE_ALARM) return;
+
+  try {
+    await applyScheduledGroup(new Date(Math.max(Date.now(), alarm.scheduledTime)));
+  } catch (error) {
+    console.error('Failed to apply scheduled group:', error);
+  }
+  await updateScheduleAlarm();
+});
+
+/**
+ * Refresh badges when groups are renamed, recolored or deleted
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || !changes.groups) return;
+
+  try {
+    const data = await chrome.storage.session.get(null);
+    const badgeKeys = Object.keys(data).filter(key => key.startsWith('badgeState_'));
+    for (const key of badgeKeys) {
+      const tabId = Number(key.replace('badgeState_', ''));
+      await updateBadge(tabId, data[key].activeGroups, data[key].groupModes);
+    }
+  } catch (error) {
+    console.error('Failed to refresh badges:', error);
+  }
+});
+
+/**
+ * Handle keyboard shortcuts declared in manifest.json "commands"
+ */
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch(error => {
+    console.error(`Failed to run shortcut ${command}:`, error);
+  });
+});
+
 /**
  * Function to be injected as content script
  * This checks if the script is already loaded to prevent multiple injections
@@ -56,6 +147,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'injectContentScript':
       handleInjectContentScript(message.tabId, sendResponse);
       return true;
+
+    case 'getTabId':
+      sendResponse({ tabId: sender.tab ? sender.tab.id : null });
+      break;
+
+    case 'activeGroupsChanged':
+      handleActiveGroupsChanged(sender.tab, message, sendResponse);
+      return true;
+
+    case 'openCalendarWithGroup':
+      handleOpenCalendarWithGroup(message, sendResponse);
+      return true;
+
+    case 'getScheduledGroup':
+      handleGetScheduledGroup(sender.tab, sendResponse);
+      return true;
     
     default:
       sendResponse({ error: 'Unknown action' });
@@ -84,10 +191,581 @@ async function handleInjectContentScript(tabId, sendResponse) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
-      files: ['content.js']
+      files: ['group-utils.js', 'content.js']
+    });
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Open a new Google Calendar tab and apply a group once it has loaded
+ * Runs here rather than in the popup, which closes as soon as the new tab gets focus
+ * @param {Object} message - Message with groupId (null to only open the tab) and mode
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleOpenCalendarWithGroup(message, sendResponse) {
+  let tab;
+  try {
+    const { groups = {} } = await chrome.storage.sync.get(['groups']);
+    const { accountEmails = {} } = await chrome.storage.local.get(['accountEmails']);
+    const group = message.groupId ? groups[message.groupId] : null;
+    const account = group ? GroupUtils.getGroupAccount(group, accountEmails) : DEFAULT_ACCOUNT;
+    tab = await chrome.tabs.create({ url: GroupUtils.getCalendarUrl(account, accountEmails) });
+    sendResponse({ success: true, tabId: tab.id });
+  } catch (error) {
+    sendResponse({ error: error.message });
+    return;
+  }
+
+  if (!message.groupId) return;
+
+  try {
+    await waitForTabComplete(tab.id);
+    // Set the group rather than toggle it: the page may already have applied it on load
+    const mode = message.mode === 'hide' ? 'hide' : 'solo';
+    const response = await sendMessageToTab(tab.id, {
+      action: 'applyActiveGroups',
+      activeGroups: [message.groupId],
+      groupModes: { [message.groupId]: mode },
+      applyView: true
+    });
+    if (response && response.error) {
+      console.warn('Failed to apply group in new tab:', response.error);
+    }
+  } catch (error) {
+    console.error('Failed to apply group in new tab:', error);
+  }
+}
+
+/**
+ * Wait until a tab has finished loading
+ * @param {number} tabId - Tab ID
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<void>} Resolves when the tab is complete, rejects on timeout
+ */
+function waitForTabComplete(tabId, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error(`Tab ${tabId} did not finish loading`));
+    }, timeout);
+
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Run a keyboard shortcut against the active Google Calendar tab
+ * Sends the same messages as the popup so the content script handles them identically
+ * @param {string} command - Command name from manifest.json
+ */
+async function handleCommand(command) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url || !tab.url.includes('calendar.google.com')) {
+    console.log(`Shortcut ${command} ignored: active tab is not Google Calendar`);
+    return;
+  }
+
+  if (command === 'show-all') {
+    await sendMessageToTab(tab.id, { action: 'showAllCalendars' });
+    return;
+  }
+
+  if (command === 'undo' || command === 'redo') {
+    const response = await sendMessageToTab(tab.id, { action: command });
+    if (response && response.error) {
+      console.log(`Shortcut ${command}: ${response.error}`);
+    }
+    return;
+  }
+
+  const { groups = {}, shortcutSlots = [] } = await chrome.storage.sync.get(['groups', 'shortcutSlots']);
+  const { account, accountEmails } = await getTabAccount(tab);
+  const accountGroups = GroupUtils.filterGroupsByAccount(groups, account, accountEmails);
+  const groupIds = GroupUtils.getSortedGroupIds(accountGroups);
+  if (groupIds.length === 0) return;
+
+  let groupId = null;
+  const slotMatch = command.match(/^activate-group-(\d)$/);
+
+  if (slotMatch) {
+    groupId = getShortcutSlotGroupId(Number(slotMatch[1]), groupIds, shortcutSlots);
+  } else if (command === 'next-group' || command === 'previous-group') {
+    groupId = await getAdjacentGroupId(tab.id, groupIds, command === 'next-group' ? 1 : -1);
+  }
+
+  if (!groupId) {
+    console.log(`Shortcut ${command}: no group to activate`);
+    return;
+  }
+
+  // Cycling sets the group on its own: toggling it would switch it off if it was already one of several active groups
+  const message = slotMatch
+    ? { action: 'toggleGroup', groupId }
+    : {
+      action: 'applyActiveGroups',
+      activeGroups: [groupId],
+      groupModes: { [groupId]: 'solo' },
+      applyView: true,
+      propagate: true
+    };
+  const response = await sendMessageToTab(tab.id, message);
+  if (response && response.error) {
+    console.warn(`Shortcut ${command} failed:`, response.error);
+  }
+}
+
+/**
+ * Get the group bound to a shortcut slot
+ * Slots without an assignment, or assigned to a deleted or another account's group,
+ * fall back to the group at that position
+ * @param {number} slot - Slot number (1-based)
+ * @param {Array<string>} groupIds - Group IDs of the tab's account in display order
+ * @param {Array<string|null>} shortcutSlots - Group ID assigned to each slot
+ * @returns {string|null} Group ID or null if the slot is empty
+ */
+function getShortcutSlotGroupId(slot, groupIds, shortcutSlots) {
+  const assigned = shortcutSlots[slot - 1];
+  if (assigned && groupIds.includes(assigned)) return assigned;
+  return groupIds[slot - 1] || null;
+}
+
+/**
+ * Get the group before or after the currently active one
+ * @param {number} tabId - Google Calendar tab ID
+ * @param {Array<string>} groupIds - Group IDs in display order
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {Promise<string|null>} Group ID or null if there is nothing to switch to
+ */
+async function getAdjacentGroupId(tabId, groupIds, direction) {
+  const state = await sendMessageToTab(tabId, { action: 'getState' });
+  const activeGroups = (state && state.activeGroups) || [];
+  const current = [...activeGroups].reverse().find(groupId => groupIds.includes(groupId));
+
+  if (!current) {
+    return direction > 0 ? groupIds[0] : groupIds[groupIds.length - 1];
+  }
+
+  const index = groupIds.indexOf(current);
+  const next = groupIds[(index + direction + groupIds.length) % groupIds.length];
+
+  // With a single group there is nothing to cycle to once it is the only active one
+  return next === current && activeGroups.length === 1 ? null : next;
+}
+
+/**
+ * Send a message to the content script, injecting it first if the tab has none
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object>} Response from the content script
+ */
+async function sendMessageToTab(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    console.log('Content script not reachable, injecting:', error.message);
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['group-utils.js', 'content.js']
     });
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+}
+
+/**
+ * Update the toolbar badge for the tab whose active groups changed
+ * @param {Object} tab - Sender tab
+ * @param {Object} message - Message with activeGroups and groupModes
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleActiveGroupsChanged(tab, message, sendResponse) {
+  if (!tab) {
+    sendResponse({ error: 'No sender tab' });
+    return;
+  }
+
+  try {
+    await updateBadge(tab.id, message.activeGroups || [], message.groupModes || {});
     sendResponse({ success: true });
   } catch (error) {
     sendResponse({ error: error.message });
+    return;
+  }
+
+  if (!message.propagate) return;
+
+  try {
+    const { settings = {} } = await chrome.storage.sync.get(['settings']);
+    if (!settings.syncAcrossTabs) return;
+
+    const results = await propagateActiveGroups(tab, message.activeGroups || [], message.groupModes || {});
+    // Kept for the popup, which reports the tabs that did not follow
+    await chrome.storage.session.set({ [getSyncResultKey(tab.id)]: { results, syncedAt: Date.now() } });
+  } catch (error) {
+    console.warn(`Failed to sync groups from tab ${tab.id}:`, error.message);
+  }
+}
+
+/**
+ * Apply a tab's active groups to every other Google Calendar tab of the same account
+ * Each tab applies them itself and reports its own result (and updates its own badge)
+ * @param {Object} sourceTab - Tab where the groups were switched
+ * @param {Array<string>} activeGroups - Active group IDs
+ * @param {Object} groupModes - Activation mode keyed by group ID
+ * @returns {Promise<Array<Object>>} Result for each tab
+ */
+async function propagateActiveGroups(sourceTab, activeGroups, groupModes) {
+  const accountKey = GroupUtils.getAccountKey(sourceTab.url);
+  const tabs = await chrome.tabs.query({});
+  const targetTabs = tabs.filter(tab =>
+    tab.id !== sourceTab.id &&
+    tab.url && tab.url.includes('calendar.google.com') &&
+    GroupUtils.getAccountKey(tab.url) === accountKey
+  );
+
+  const results = await Promise.all(targetTabs.map(async (tab) => {
+    try {
+      const response = await sendMessageToTab(tab.id, { action: 'applyActiveGroups', activeGroups, groupModes });
+      if (!response || response.error || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Groups were rolled back');
+      }
+      return { tabId: tab.id, title: tab.title, success: true, failed: response.report.failed };
+    } catch (error) {
+      console.warn(`Failed to sync groups to tab ${tab.id}:`, error.message);
+      return { tabId: tab.id, title: tab.title, success: false, error: error.message };
+    }
+  }));
+
+  if (results.length > 0) {
+    console.log(`Synced groups from tab ${sourceTab.id} to ${results.filter(result => result.success).length}/${results.length} tabs`);
+  }
+  return results;
+}
+
+/**
+ * Tell a Google Calendar page which group the schedule selects right now
+ * The content script asks once its sidebar has loaded and applies the group itself
+ * @param {Object} tab - Sender tab
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetScheduledGroup(tab, sendResponse) {
+  try {
+    let groupId = null;
+    if (tab) {
+      const { account, accountEmails } = await getTabAccount(tab);
+      groupId = await getScheduledGroupId(new Date(), account, accountEmails);
+    }
+    sendResponse({ groupId });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Load schedules and the fallback group from storage
+ * @param {string|null} account - Account whose schedules to load, or null for every account
+ * @param {Object} accountEmails - Emails keyed by this browser's index keys
+ * @returns {Promise<Object>} Valid schedules and the account's fallback group ID
+ */
+async function loadSchedules(account = null, accountEmails = {}) {
+  const { schedules = [], settings = {}, groups = {} } =
+    await chrome.storage.sync.get(['schedules', 'settings', 'groups']);
+  const accountGroups = account ? GroupUtils.filterGroupsByAccount(groups, account, accountEmails) : groups;
+  const fallbackGroupId = account
+    ? GroupUtils.getAccountSetting(settings.scheduleFallbackGroups, account, accountEmails)
+    : null;
+
+  return {
+    schedules: schedules.filter(schedule => isValidSchedule(schedule, accountGroups)),
+    fallbackGroupId: accountGroups[fallbackGroupId] ? fallbackGroupId : null
+  };
+}
+
+/**
+ * Check whether a schedule can take effect
+ * @param {Object} schedule - Schedule with groupId, days (0 = Sunday), start and end ("HH:MM")
+ * @param {Object} groups - Groups keyed by ID
+ * @returns {boolean} True if the schedule has an existing group, days and a non-empty time range
+ */
+function isValidSchedule(schedule, groups) {
+  return Boolean(schedule && groups[schedule.groupId]) &&
+    Array.isArray(schedule.days) && schedule.days.length > 0 &&
+    parseScheduleTime(schedule.start) !== null && parseScheduleTime(schedule.end) !== null &&
+    schedule.start !== schedule.end;
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes or null if invalid
+ */
+function parseScheduleTime(time) {
+  const match = (time || '').match(/^(\d{2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Check whether a schedule covers a point in time
+ * A range whose end is before its start runs past midnight into the next day
+ * @param {Object} schedule - Valid schedule
+ * @param {Date} now - Point in time
+ * @returns {boolean} True if the schedule is in effect
+ */
+function isScheduleActive(schedule, now) {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = parseScheduleTime(schedule.start);
+  const end = parseScheduleTime(schedule.end);
+  const day = now.getDay();
+
+  if (start < end) {
+    return schedule.days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  const previousDay = (day + 6) % 7;
+  return (schedule.days.includes(day) && minutes >= start) ||
+    (schedule.days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * Get the group the schedules select at a point in time
+ * Earlier schedules win over later ones; outside every schedule the fallback group applies
+ * @param {Date} now - Point in time
+ * @param {string} account - Account of the Google Calendar tab
+ * @param {Object} accountEmails - Emails keyed by this browser's index keys
+ * @returns {Promise<string|null>} Group ID, or null if no schedule is in effect
+ */
+async function getScheduledGroupId(now, account, accountEmails = {}) {
+  const { schedules, fallbackGroupId } = await loadSchedules(account, accountEmails);
+  if (schedules.length === 0 && !fallbackGroupId) return null;
+
+  const activeSchedule = schedules.find(schedule => isScheduleActive(schedule, now));
+  return activeSchedule ? activeSchedule.groupId : fallbackGroupId;
+}
+
+/**
+ * Get the next time a schedule starts or ends
+ * @param {Array<Object>} schedules - Valid schedules
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next boundary, or null if there are no schedules
+ */
+function getNextScheduleBoundary(schedules, now) {
+  let next = null;
+
+  // Every schedule repeats weekly, so a boundary always falls within the next 8 days
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+
+    schedules.forEach(schedule => {
+      const start = parseScheduleTime(schedule.start);
+      const end = parseScheduleTime(schedule.end);
+      const boundaries = [];
+
+      if (schedule.days.includes(day)) boundaries.push(start);
+      // An overnight range ends on the day after it starts
+      if (schedule.days.includes(start < end ? day : previousDay)) boundaries.push(end);
+
+      boundaries.forEach(minutes => {
+        const boundary = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+        if (boundary > now && (!next || boundary < next)) {
+          next = boundary;
+        }
+      });
+    });
+
+    if (next) break;
   }
-}
\ No newline at end of file
+
+  return next;
+}
+
+/**
+ * Arm the schedule alarm for the next boundary, or clear it when nothing is scheduled
+ */
+async function updateScheduleAlarm() {
+  try {
+    const { schedules } = await loadSchedules();
+    const next = getNextScheduleBoundary(schedules, new Date());
+
+    if (!next) {
+      await chrome.alarms.clear(SCHEDULE_ALARM);
+      return;
+    }
+
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+    console.log('Next scheduled group switch:', next.toString());
+  } catch (error) {
+    console.error('Failed to update schedule alarm:', error);
+  }
+}
+
+/**
+ * Apply the group the schedule selects to every open Google Calendar tab
+ * Each tab follows the schedules of its own account; when a schedule ends without a
+ * fallback group, tabs still showing the group it applied go back to all calendars
+ * @param {Date} now - Point in time to evaluate the schedule at
+ * @returns {Promise<Array<Object>>} Result for each tab that has a scheduled group or had one removed
+ */
+async function applyScheduledGroup(now) {
+  const tabs = await chrome.tabs.query({});
+  const calendarTabs = tabs.filter(tab => tab.url && tab.url.includes('calendar.google.com'));
+  const { accountEmails = {} } = await chrome.storage.local.get(['accountEmails']);
+
+  const results = await Promise.all(calendarTabs.map(async (tab) => {
+    const account = GroupUtils.resolveAccount(GroupUtils.getAccountKey(tab.url), accountEmails);
+    const groupId = await getScheduledGroupId(now, account, accountEmails);
+
+    try {
+      if (!groupId) {
+        return await clearEndedScheduledGroup(tab, now, account, accountEmails);
+      }
+
+      await sendScheduledGroups(tab.id, [groupId]);
+      return { tabId: tab.id, success: true };
+    } catch (error) {
+      console.warn(`Failed to apply scheduled group to tab ${tab.id}:`, error.message);
+      return { tabId: tab.id, success: false, error: error.message };
+    }
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Remove the group of a schedule that just ended from a tab
+ * Only a tab whose groups are still exactly the ended schedule's group is changed,
+ * so a group the user picked in the meantime stays applied
+ * @param {Object} tab - Google Calendar tab
+ * @param {Date} now - Schedule boundary
+ * @param {string} account - Account of the tab
+ * @param {Object} accountEmails - Emails keyed by this browser's index keys
+ * @returns {Promise<Object|null>} Result for the tab, or null if it was left as it is
+ */
+async function clearEndedScheduledGroup(tab, now, account, accountEmails) {
+  const endedGroupId = await getScheduledGroupId(new Date(now.getTime() - 60 * 1000), account, accountEmails);
+  if (!endedGroupId) return null;
+
+  const state = await sendMessageToTab(tab.id, { action: 'getState' });
+  const activeGroups = (state && state.activeGroups) || [];
+  const isScheduledState = activeGroups.length === 1 && activeGroups[0] === endedGroupId &&
+    ((state.groupModes || {})[endedGroupId] || 'solo') === 'solo';
+  if (!isScheduledState) return null;
+
+  await sendScheduledGroups(tab.id, []);
+  return { tabId: tab.id, success: true };
+}
+
+/**
+ * Send the groups selected by the schedule to a tab
+ * @param {number} tabId - Google Calendar tab ID
+ * @param {Array<string>} groupIds - Group IDs to apply (empty to show all calendars)
+ * @returns {Promise<void>} Rejects if the tab did not apply the groups
+ */
+async function sendScheduledGroups(tabId, groupIds) {
+  const groupModes = {};
+  groupIds.forEach(groupId => {
+    groupModes[groupId] = 'solo';
+  });
+
+  const response = await sendMessageToTab(tabId, { action: 'applyActiveGroups', activeGroups: groupIds, groupModes });
+  if (!response || response.error || !response.success) {
+    throw new Error(response && response.error ? response.error : 'Groups were rolled back');
+  }
+}
+
+/**
+ * Get the account of a Google Calendar tab
+ * @param {Object} tab - Tab
+ * @returns {Promise<Object>} Account ID (email once known) and this browser's accountEmails map
+ */
+async function getTabAccount(tab) {
+  const { accountEmails = {} } = await chrome.storage.local.get(['accountEmails']);
+  return { account: GroupUtils.resolveAccount(GroupUtils.getAccountKey(tab.url), accountEmails), accountEmails };
+}
+
+/**
+ * Get the session storage key holding a tab's badge state
+ * @param {number} tabId - Tab ID
+ * @returns {string} Storage key
+ */
+function getBadgeStateKey(tabId) {
+  return `badgeState_${tabId}`;
+}
+
+/**
+ * Get the session storage key holding the result of syncing a tab's groups to the other tabs
+ * @param {number} tabId - Tab ID of the source tab
+ * @returns {string} Storage key
+ */
+function getSyncResultKey(tabId) {
+  return `syncResult_${tabId}`;
+}
+
+/**
+ * Set a tab's badge text, color and tooltip from its active groups
+ * One group shows its icon or abbreviation in the group color; several show a count
+ * @param {number} tabId - Tab ID
+ * @param {Array<string>} activeGroups - Active group IDs
+ * @param {Object} groupModes - Activation mode keyed by group ID
+ */
+async function updateBadge(tabId, activeGroups, groupModes) {
+  try {
+    const { groups = {} } = await chrome.storage.sync.get(['groups']);
+    const groupIds = activeGroups.filter(groupId => groups[groupId]);
+
+    if (groupIds.length === 0) {
+      await chrome.action.setBadgeText({ tabId, text: '' });
+      await chrome.action.setTitle({ tabId, title: 'Calendar Groups' });
+      await chrome.storage.session.remove(getBadgeStateKey(tabId));
+      return;
+    }
+
+    const [firstGroup] = groupIds.map(groupId => groups[groupId]);
+    const isSingleGroup = groupIds.length === 1;
+    const hidePrefix = isSingleGroup && groupModes[groupIds[0]] === 'hide' ? '-' : '';
+    const label = firstGroup.icon || getGroupAbbreviation(firstGroup);
+    const text = isSingleGroup ? `${hidePrefix}${label}` : String(groupIds.length);
+    const color = isSingleGroup && /^#[0-9a-f]{6}$/i.test(firstGroup.color || '') ? firstGroup.color : '#1a73e8';
+    const names = groupIds
+      .map(groupId => `${groups[groupId].name}${groupModes[groupId] === 'hide' ? '（除外）' : ''}`)
+      .join(' + ');
+
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    await chrome.action.setTitle({ tabId, title: `Calendar Groups - ${names}` });
+    await chrome.storage.session.set({ [getBadgeStateKey(tabId)]: { activeGroups: groupIds, groupModes } });
+  } catch (error) {
+    // The tab may have been closed in the meantime, or storage could not be read
+    console.warn(`Failed to update badge for tab ${tabId}:`, error.message);
+  }
+}
+
+/**
+ * Get a short badge label for a group
+ * Multi-word names use their initials; others use the first few characters
+ * @param {Object} group - Group data
+ * @returns {string} Label of at most 3 characters
+ */
+function getGroupAbbreviation(group) {
+  const name = (group.name || '').trim();
+  const words = name.split(/\s+/).filter(Boolean);
+
+  if (words.length > 1 && /^[\x20-\x7e]+$/.test(name)) {
+    return words.slice(0, 3).map(word => word[0]).join('').toUpperCase();
+  }
+
+  // Wide (e.g. Japanese) characters fit two to a badge, ASCII three
+  const characters = Array.from(new Intl.Segmenter().segment(name), segment => segment.segment);
+  return characters.slice(0, /^[\x20-\x7e]+$/.test(name) ? 3 : 2).join('');
+}
@@ -27,6 +27,579 @@ const StorageUtils = {
     return new Promise((resolve) => {
       chrome.storage.sync.set(data, resolve);
     });
+  },
+
+  /**
+   * Get data from session storage (kept until the browser is closed)
+   * @param {string|Array|null} keys - Keys to retrieve
+   * @returns {Promise<Object>} Retrieved data
+   */
+  async getSession(keys = null) {
+    return new Promise((resolve) => {
+      chrome.storage.session.get(keys, resolve);
+    });
+  },
+
+  /**
+   * Set data to session storage
+   * @param {Object} data - Data to store
+   * @returns {Promise<void>}
+   */
+  async setSession(data) {
+    return new Promise((resolve) => {
+      chrome.storage.session.set(data, resolve);
+    });
+  },
+
+  /**
+   * Remove data from session storage
+   * @param {string|Array} keys - Keys to remove
+   * @returns {Promise<void>}
+   */
+  async removeSession(keys) {
+    return new Promise((resolve) => {
+      chrome.storage.session.remove(keys, resolve);
+    });
+  },
+
+  /**
+   * Get data from local storage (this browser only)
+   * @param {string|Array|null} keys - Keys to retrieve
+   * @returns {Promise<Object>} Retrieved data
+   */
+  async getLocal(keys = null) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(keys, resolve);
+    });
+  },
+
+  /**
+   * Set data to local storage
+   * @param {Object} data - Data to store
+   * @returns {Promise<void>}
+   */
+  async setLocal(data) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set(data, resolve);
+    });
+  },
+
+  /**
+   * Remove data from local storage
+   * @param {string|Array} keys - Keys to remove
+   * @returns {Promise<void>}
+   */
+  async removeLocal(keys) {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(keys, resolve);
+    });
+  }
+};
+
+/**
+ * Per-tab and per-account persistence of the active group state
+ * Keeps the active group and the pre-activation visibility snapshot
+ * across page reloads and content script re-injection
+ */
+const SessionState = {
+  tabId: null,
+
+  /**
+   * Get the ID of the tab this content script runs in
+   * @returns {Promise<number|null>} Tab ID or null if unavailable
+   */
+  async getTabId() {
+    if (this.tabId !== null) return this.tabId;
+
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getTabId' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.warn('Failed to get tab ID:', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+
+    this.tabId = response && typeof response.tabId === 'number' ? response.tabId : null;
+    return this.tabId;
+  },
+
+  /**
+   * Get the Google account key from the URL (/calendar/u/1/... -> "u1")
+   * @returns {string} Account key
+   */
+  getAccountKey() {
+    return GroupUtils.getAccountKey(window.location.pathname);
+  },
+
+  /**
+   * Get the session storage key for this tab and account
+   * @returns {Promise<string|null>} Storage key or null if the tab is unknown
+   */
+  async getStorageKey() {
+    const tabId = await this.getTabId();
+    if (tabId === null) return null;
+    return `activeState_${tabId}_${this.getAccountKey()}`;
+  },
+
+  /**
+   * Load saved state for this tab and account
+   * @returns {Promise<Object|null>} Saved state or null
+   */
+  async load() {
+    const key = await this.getStorageKey();
+    if (!key) return null;
+
+    const data = await StorageUtils.getSession([key]);
+    return data[key] || null;
+  },
+
+  /**
+   * Save state for this tab and account
+   * @param {Object} state - State to save
+   */
+  async save(state) {
+    const key = await this.getStorageKey();
+    if (!key) return;
+
+    await StorageUtils.setSession({ [key]: { ...state, savedAt: Date.now() } });
+  },
+
+  /**
+   * Clear saved state for this tab and account
+   */
+  async clear() {
+    const key = await this.getStorageKey();
+    if (!key) return;
+
+    await StorageUtils.removeSession([key]);
+  }
+};
+
+/**
+ * Scoping of groups to the Google account of the page
+ * Groups are synced under the account's email; see GroupUtils for how index keys resolve to it
+ */
+const AccountScope = {
+  /**
+   * Find the signed-in account's email address in the Google bar
+   * @returns {string|null} Email address or null if not found
+   */
+  detectEmail() {
+    const candidates = document.querySelectorAll('a[href*="accounts.google.com"][aria-label], [data-email]');
+    for (const element of candidates) {
+      const text = element.getAttribute('data-email') || element.getAttribute('aria-label');
+      const match = text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+      if (match) return match[0].toLowerCase();
+    }
+    return null;
+  },
+
+  /**
+   * Get this page's account and the browser's index-to-email map
+   * The email shown on the page wins over the map, which may not have been updated yet
+   * @returns {Promise<Object>} Account ID and accountEmails
+   */
+  async getAccount() {
+    const accountKey = SessionState.getAccountKey();
+    const { accountEmails = {} } = await StorageUtils.getLocal(['accountEmails']);
+    const email = this.detectEmail();
+    const emails = email ? { ...accountEmails, [accountKey]: email } : accountEmails;
+    return { account: GroupUtils.resolveAccount(accountKey, emails), accountEmails: emails };
+  },
+
+  /**
+   * Keep only the groups of this page's account
+   * @param {Object} groups - All groups keyed by ID
+   * @returns {Promise<Object>} Groups of the account keyed by ID
+   */
+  async filterGroups(groups) {
+    const { account, accountEmails } = await this.getAccount();
+    return GroupUtils.filterGroupsByAccount(groups, account, accountEmails);
+  },
+
+  /**
+   * Remember which account this page's /u/N index belongs to in this browser,
+   * then move synced data still keyed by that index to the email
+   */
+  async recordEmail() {
+    const email = this.detectEmail();
+    if (!email) return;
+
+    const accountKey = SessionState.getAccountKey();
+    const { accountEmails = {} } = await StorageUtils.getLocal(['accountEmails']);
+    if (accountEmails[accountKey] !== email) {
+      // Drop the account's old index, which changes when accounts sign in or out
+      const otherEmails = Object.fromEntries(
+        Object.entries(accountEmails).filter(([, knownEmail]) => knownEmail !== email)
+      );
+      await StorageUtils.setLocal({ accountEmails: { ...otherEmails, [accountKey]: email } });
+    }
+
+    await this.migrateSyncedData(accountKey, email);
+  },
+
+  /**
+   * Rewrite groups and per-account settings saved under an index key to the account's email
+   * Groups without an account were created before accounts were tracked and belong to the first account
+   * @param {string} accountKey - Index key of this page
+   * @param {string} email - Email of this page's account
+   */
+  async migrateSyncedData(accountKey, email) {
+    const { groups = {}, settings = {} } = await StorageUtils.get(['groups', 'settings']);
+    const updates = {};
+
+    const indexedIds = Object.keys(groups)
+      .filter(groupId => (groups[groupId].account || DEFAULT_ACCOUNT) === accountKey);
+    if (indexedIds.length > 0) {
+      updates.groups = { ...groups };
+      indexedIds.forEach(groupId => {
+        updates.groups[groupId] = { ...groups[groupId], account: email };
+      });
+    }
+
+    const settingKeys = ['scheduleFallbackGroups', 'defaultGroups']
+      .filter(key => settings[key] && accountKey in settings[key]);
+    if (settingKeys.length > 0) {
+      updates.settings = { ...settings };
+      settingKeys.forEach(key => {
+        const { [accountKey]: indexedValue, ...valuesByAccount } = settings[key];
+        updates.settings[key] = { [email]: indexedValue, ...valuesByAccount };
+      });
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await StorageUtils.set(updates);
+    }
+  }
+};
+
+/**
+ * Localized sidebar labels keyed by the page's <html lang>
+ * systemItems are non-calendar entries (tasks, birthdays...) that must not be treated as calendars
+ */
+const CalendarLocales = {
+  ja: {
+    systemItems: ['タスク', 'リマインダー', '誕生日', '祝日', 'フォローアップ'],
+    myCalendars: ['マイカレンダー'],
+    otherCalendars: ['他のカレンダー'],
+    expand: ['展開', '表示'],
+    collapse: ['折りたたむ', '閉じる'],
+    calendar: ['カレンダー'],
+    indicators: ['カレンダー', 'スケジュール', 'イベント', 'ミーティング', '仕事', '個人', '家族', '休暇', 'プロジェクト', 'チーム']
+  },
+  en: {
+    systemItems: ['tasks', 'reminders', 'birthdays', 'holidays', 'follow-up'],
+    myCalendars: ['My calendars'],
+    otherCalendars: ['Other calendars'],
+    expand: ['expand', 'show'],
+    collapse: ['collapse', 'hide'],
+    calendar: ['Calendar', 'calendar'],
+    indicators: ['calendar', 'schedule', 'event', 'meeting', 'work', 'personal', 'family', 'holiday', 'vacation', 'project', 'team']
+  },
+  de: {
+    systemItems: ['Aufgaben', 'Erinnerungen', 'Geburtstage', 'Feiertage'],
+    myCalendars: ['Meine Kalender'],
+    otherCalendars: ['Weitere Kalender', 'Andere Kalender'],
+    expand: ['maximieren', 'erweitern', 'einblenden'],
+    collapse: ['minimieren', 'reduzieren', 'ausblenden'],
+    calendar: ['Kalender'],
+    indicators: ['kalender', 'termine', 'arbeit', 'privat', 'familie', 'urlaub', 'projekt', 'team']
+  },
+  fr: {
+    systemItems: ['Tâches', 'Rappels', 'Anniversaires', 'Jours fériés'],
+    myCalendars: ['Mes agendas'],
+    otherCalendars: ['Autres agendas', 'Autres calendriers'],
+    expand: ['développer', 'afficher'],
+    collapse: ['réduire', 'masquer'],
+    calendar: ['Agenda', 'agenda'],
+    indicators: ['agenda', 'calendrier', 'travail', 'personnel', 'famille', 'vacances', 'projet', 'équipe']
+  },
+  es: {
+    systemItems: ['Tareas', 'Recordatorios', 'Cumpleaños', 'Festivos'],
+    myCalendars: ['Mis calendarios'],
+    otherCalendars: ['Otros calendarios'],
+    expand: ['expandir', 'mostrar'],
+    collapse: ['contraer', 'ocultar'],
+    calendar: ['Calendario', 'calendario'],
+    indicators: ['calendario', 'trabajo', 'personal', 'familia', 'vacaciones', 'proyecto', 'equipo']
+  },
+  it: {
+    systemItems: ['Attività', 'Promemoria', 'Compleanni', 'Festività'],
+    myCalendars: ['I miei calendari'],
+    otherCalendars: ['Altri calendari'],
+    expand: ['espandi', 'mostra'],
+    collapse: ['comprimi', 'nascondi'],
+    calendar: ['Calendario', 'calendario'],
+    indicators: ['calendario', 'lavoro', 'personale', 'famiglia', 'vacanze', 'progetto', 'team']
+  },
+  pt: {
+    systemItems: ['Tarefas', 'Lembretes', 'Aniversários', 'Feriados'],
+    myCalendars: ['Minhas agendas'],
+    otherCalendars: ['Outras agendas'],
+    expand: ['expandir', 'mostrar'],
+    collapse: ['recolher', 'ocultar'],
+    calendar: ['Agenda', 'agenda'],
+    indicators: ['agenda', 'calendário', 'trabalho', 'pessoal', 'família', 'férias', 'projeto', 'equipe']
+  },
+  ko: {
+    systemItems: ['할 일', '리마인더', '생일', '공휴일'],
+    myCalendars: ['내 캘린더'],
+    otherCalendars: ['다른 캘린더'],
+    expand: ['펼치기', '표시'],
+    collapse: ['접기', '숨기기'],
+    calendar: ['캘린더'],
+    indicators: ['캘린더', '일정', '업무', '개인', '가족', '휴가', '프로젝트', '팀']
+  },
+  zh: {
+    systemItems: ['任务', '提醒', '生日', '节假日'],
+    myCalendars: ['我的日历'],
+    otherCalendars: ['其他日历'],
+    expand: ['展开', '显示'],
+    collapse: ['收起', '隐藏'],
+    calendar: ['日历'],
+    indicators: ['日历', '日程', '工作', '个人', '家庭', '假期', '项目', '团队']
+  },
+  'zh-TW': {
+    systemItems: ['工作表', '提醒', '生日', '節日'],
+    myCalendars: ['我的日曆'],
+    otherCalendars: ['其他日曆'],
+    expand: ['展開', '顯示'],
+    collapse: ['收合', '隱藏'],
+    calendar: ['日曆'],
+    indicators: ['日曆', '行程', '個人', '家庭', '假期', '專案', '團隊']
+  }
+};
+
+/**
+ * Locale lookup for sidebar labels
+ * Combines the table for the page language with the fallback locales
+ */
+const CalendarLocale = {
+  tables: CalendarLocales,
+  fallbackLocales: ['en', 'ja'],
+  cache: { lang: null, labels: null },
+
+  /**
+   * Get the language of the Google Calendar page
+   * @returns {string} Language tag from <html lang> (e.g. "de", "pt-BR")
+   */
+  getPageLanguage() {
+    return (document.documentElement.getAttribute('lang') || '').trim();
+  },
+
+  /**
+   * Resolve locale table keys for a language tag, most specific first
+   * @param {string} lang - Language tag
+   * @returns {Array<string>} Locale keys including fallbacks
+   */
+  resolveLocales(lang) {
+    const [primary, region] = lang.split(/[-_]/);
+    const candidates = [
+      region ? `${primary.toLowerCase()}-${region.toUpperCase()}` : null,
+      primary ? primary.toLowerCase() : null,
+      ...this.fallbackLocales
+    ];
+
+    return [...new Set(candidates.filter(code => code && this.tables[code]))];
+  },
+
+  /**
+   * Get merged labels for the current page language
+   * @returns {Object} Label lists keyed by label type
+   */
+  getLabels() {
+    const lang = this.getPageLanguage();
+    if (this.cache.lang === lang && this.cache.labels) {
+      return this.cache.labels;
+    }
+
+    const locales = this.resolveLocales(lang);
+    const labels = {};
+    locales.forEach(code => {
+      Object.entries(this.tables[code]).forEach(([key, values]) => {
+        labels[key] = [...new Set([...(labels[key] || []), ...values])];
+      });
+    });
+
+    console.log(`Using sidebar labels for locales: ${locales.join(', ')} (page lang: "${lang}")`);
+    this.cache = { lang, labels };
+    return labels;
+  }
+};
+
+/**
+ * Selector profiles for known Google Calendar sidebar layouts
+ * Profiles are tried in order; support a new layout by adding a profile here
+ * instead of editing the discovery logic in CalendarDOM
+ */
+const CalendarLayoutProfiles = [
+  {
+    name: 'material-sidebar',
+    version: '2025.06',
+    // Sidebar containers used by Google Calendar as of 2025-06
+    detect: ['.KKjvXb', '.Y2Qmjb'],
+    selectors: {
+      checkbox: 'input[type="checkbox"], [role="checkbox"]',
+      sidebar: ['.KKjvXb', '.Y2Qmjb', 'aside', '[role="navigation"]', '[role="complementary"]'],
+      mySection: ['[data-drawer="my-calendars"]'],
+      otherSection: ['[data-drawer="other-calendars"]'],
+      calendarSection: ['[role="group"][aria-label*="calendar"]', '[role="group"][aria-label*="カレンダー"]'],
+      patterns: ['[data-calendarid]', '[jsname]']
+    },
+    // checkboxes also picks up calendars rendered outside the known sidebar containers
+    strategies: ['sections', 'checkboxes', 'sidebar', 'patterns']
+  },
+  {
+    name: 'drawer-sections',
+    version: '2023.01',
+    // Older layout with data-drawer section containers
+    detect: ['[data-drawer="my-calendars"]', '[data-drawer="other-calendars"]'],
+    selectors: {
+      checkbox: 'input[type="checkbox"], [role="checkbox"]',
+      sidebar: ['aside', '[role="navigation"]', '[role="complementary"]'],
+      mySection: ['[data-drawer="my-calendars"]'],
+      otherSection: ['[data-drawer="other-calendars"]'],
+      calendarSection: [],
+      patterns: ['[data-calendarid]']
+    },
+    strategies: ['sections', 'sidebar']
+  },
+  {
+    name: 'generic',
+    version: '1.0',
+    // Fallback heuristics for unknown layouts: any checkbox that looks like a calendar
+    detect: ['[role="checkbox"]', 'input[type="checkbox"]'],
+    selectors: {
+      checkbox: 'input[type="checkbox"], [role="checkbox"]',
+      sidebar: [
+        'aside',
+        '[role="navigation"]',
+        '[role="complementary"]',
+        '.gb_pc', // Google sidebar class
+        '[data-testid*="sidebar"]',
+        '[data-testid*="calendar"]',
+        '[class*="sidebar"]',
+        '[class*="nav"]'
+      ],
+      mySection: ['[data-drawer="my-calendars"]'],
+      otherSection: ['[data-drawer="other-calendars"]'],
+      calendarSection: ['[role="group"][aria-label*="calendar"]', '[role="group"][aria-label*="カレンダー"]'],
+      patterns: [
+        '[class*="calendar"]',
+        '[class*="Calendar"]',
+        '[jsname]', // Google often uses jsname attribute
+        '[data-eventid]',
+        '[data-calendarid]',
+        '[id*="calendar"]',
+        '[id*="Calendar"]'
+      ]
+    },
+    strategies: ['sections', 'checkboxes', 'sidebar', 'patterns']
+  }
+];
+
+/**
+ * Adapter between CalendarDOM and the layout profiles
+ * Picks the first profile whose markers are present and whose strategies find calendars
+ */
+const CalendarDOMAdapter = {
+  profiles: CalendarLayoutProfiles,
+  activeProfile: null,
+
+  // Section labels shown in the sidebar, in the page's language
+  get labels() {
+    return CalendarLocale.getLabels();
+  },
+
+  // Discovery strategies, mapped to CalendarDOM methods
+  strategies: {
+    sections: 'findCalendarsInSections',
+    checkboxes: 'findCalendarsFromCheckboxes',
+    sidebar: 'findCalendarsInSidebar',
+    patterns: 'findCalendarsWithGooglePatterns'
+  },
+
+  /**
+   * Register an additional layout profile
+   * @param {Object} profile - Layout profile
+   * @param {boolean} prepend - Try this profile before the built-in ones
+   */
+  registerProfile(profile, prepend = true) {
+    this.profiles = prepend ? [profile, ...this.profiles] : [...this.profiles, profile];
+  },
+
+  /**
+   * Check whether a profile's markers are present on the page
+   * @param {Object} profile - Layout profile
+   * @returns {boolean} True if any marker selector matches
+   */
+  matchesProfile(profile) {
+    return profile.detect.some(selector => document.querySelector(selector));
+  },
+
+  /**
+   * Get the profile to use for selectors
+   * @returns {Object} Matched profile, or the first detected one, or the last (fallback) profile
+   */
+  getProfile() {
+    return this.activeProfile ||
+           this.profiles.find(profile => this.matchesProfile(profile)) ||
+           this.profiles[this.profiles.length - 1];
+  },
+
+  /**
+   * Get a short description of the matched profile
+   * @returns {Object|null} Profile name and version, or null if none matched
+   */
+  getMatchedProfileInfo() {
+    return this.activeProfile ? { name: this.activeProfile.name, version: this.activeProfile.version } : null;
+  },
+
+  /**
+   * Run each profile's discovery strategies in order until one finds calendars
+   * @param {Set<Element>} elements - Set to add found calendar elements to
+   * @returns {Object|null} Matched profile
+   */
+  findCalendars(elements) {
+    for (const profile of this.profiles) {
+      if (!this.matchesProfile(profile)) {
+        console.log(`Layout profile ${profile.name}@${profile.version}: markers not found`);
+        continue;
+      }
+
+      const found = new Set();
+      profile.strategies.forEach(strategy => {
+        console.log(`Layout profile ${profile.name}@${profile.version}: running ${strategy} strategy`);
+        CalendarDOM[this.strategies[strategy]](found, profile);
+      });
+
+      if (found.size > 0) {
+        console.log(`Layout profile ${profile.name}@${profile.version} matched ${found.size} calendars`);
+        this.activeProfile = profile;
+        found.forEach(element => elements.add(element));
+        return profile;
+      }
+
+      console.log(`Layout profile ${profile.name}@${profile.version}: no calendars found`);
+    }
+
+    this.activeProfile = null;
+    return null;
+  },
+
+  /**
+   * Get selectors for a sidebar section
+   * @param {string} section - 'my' or 'other'
+   * @param {Object} profile - Layout profile
+   * @returns {Array<string>} Section selectors
+   */
+  getSectionSelectors(section, profile = this.getProfile()) {
+    const structural = section === 'my' ? profile.selectors.mySection : profile.selectors.otherSection;
+    const labels = section === 'my' ? this.labels.myCalendars : this.labels.otherCalendars;
+    return [...structural, ...labels.map(label => `[aria-label*="${label}"]`)];
   }
 };
 
@@ -36,7 +609,7 @@ const StorageUtils = {
 const CalendarDOM = {
   /**
    * Get all calendar elements from the sidebar
-   * Uses multiple selectors to handle Google Calendar's DOM structure as of 2025-06
+   * Discovery selectors come from the matching layout profile (see CalendarLayoutProfiles)
    * @returns {Array<Element>} Array of calendar elements
    */
   async getCalendarElements(forceExpand = false) {
@@ -56,21 +629,9 @@ const CalendarDOM = {
       await this.monitorForDynamicElements(elements);
     }
     
-    // Approach 1: Look for specific calendar sections
-    console.log('Approach 1: Looking for calendar sections...');
-    this.findCalendarsInSections(elements);
-    
-    // Approach 2: Look for checkboxes anywhere on the page
-    console.log('Approach 2: Finding all checkboxes...');
-    this.findCalendarsFromCheckboxes(elements);
-    
-    // Approach 3: Look for sidebar structure
-    console.log('Approach 3: Looking for sidebar structure...');
-    this.findCalendarsInSidebar(elements);
-    
-    // Approach 4: Look for specific Google Calendar patterns
-    console.log('Approach 4: Looking for Google Calendar specific patterns...');
-    this.findCalendarsWithGooglePatterns(elements);
+    // Approaches 1-4: Section, checkbox, sidebar and pattern strategies of the matching layout profile
+    const profile = CalendarDOMAdapter.findCalendars(elements);
+    console.log('Layout profile:', profile ? `${profile.name}@${profile.version}` : 'none matched');
     
     // Approach 5: Force render hidden virtual elements
     if (forceExpand) {
@@ -239,10 +800,7 @@ const CalendarDOM = {
       // Direct aria-expanded buttons (but not "Other calendars")
       '[aria-expanded="false"]',
       // Buttons with expand-related text
-      'button[aria-label*="expand"]',
-      'button[aria-label*="show"]',
-      'button[aria-label*="展開"]',
-      'button[aria-label*="表示"]',
+      ...CalendarDOMAdapter.labels.expand.map(label => `button[aria-label*="${label}"]`),
       // Common collapse/expand patterns
       '.collapsed',
       '[data-collapsed="true"]',
@@ -253,8 +811,8 @@ const CalendarDOM = {
     for (const selector of expandableElements) {
       const elements = document.querySelectorAll(selector);
       for (const element of elements) {
-        // Only click if it's in calendar areas and NOT the "Other calendars" section
-        if (this.isNearCalendarArea(element) && !this.isOtherCalendarsToggle(element)) {
+        // Only click if it's in calendar areas and NOT the "Other calendars" section or a collapse control
+        if (this.isNearCalendarArea(element) && !this.isOtherCalendarsToggle(element) && !this.isCollapseControl(element)) {
           try {
             console.log('Expanding element:', element.getAttribute('aria-label') || element.textContent?.trim());
             element.click();
@@ -276,9 +834,8 @@ const CalendarDOM = {
     // Look for "Other calendars" section toggle buttons
     const otherCalendarsSelectors = [
       // Specific selectors for "Other calendars" section
-      '[aria-label*="Other calendars"][aria-expanded="true"]',
-      '[aria-label*="他のカレンダー"][aria-expanded="true"]',
-      '[data-drawer="other-calendars"] [aria-expanded="true"]',
+      ...CalendarDOMAdapter.labels.otherCalendars.map(label => `[aria-label*="${label}"][aria-expanded="true"]`),
+      ...CalendarDOMAdapter.getProfile().selectors.otherSection.map(selector => `${selector} [aria-expanded="true"]`),
       // Text-based search
       'button[aria-expanded="true"]'
     ];
@@ -303,10 +860,9 @@ const CalendarDOM = {
     }
 
     // Alternative approach: look for text content
-    const textSearchXPath = [
-      '//button[contains(text(), "Other calendars") and @aria-expanded="true"]',
-      '//button[contains(text(), "他のカレンダー") and @aria-expanded="true"]'
-    ];
+    const textSearchXPath = CalendarDOMAdapter.labels.otherCalendars.map(label =>
+      `//button[contains(text(), "${label}") and @aria-expanded="true"]`
+    );
 
     for (const xpath of textSearchXPath) {
       const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
@@ -334,15 +890,23 @@ const CalendarDOM = {
     const textContent = button.textContent || '';
     
     // Check for "Other calendars" related text
-    const otherCalendarsPatterns = [
-      'other calendars', '他のカレンダー', 'otros calendarios', 
-      'autres calendriers', 'andere kalender', 'altri calendari'
-    ];
+    const otherCalendarsPatterns = CalendarDOMAdapter.labels.otherCalendars;
+    const otherSectionSelector = CalendarDOMAdapter.getProfile().selectors.otherSection.join(', ');
     
     return otherCalendarsPatterns.some(pattern => 
       ariaLabel.toLowerCase().includes(pattern.toLowerCase()) ||
       textContent.toLowerCase().includes(pattern.toLowerCase())
-    ) || button.closest('[data-drawer="other-calendars"]');
+    ) || (otherSectionSelector && button.closest(otherSectionSelector));
+  },
+
+  /**
+   * Check if a control's label says it collapses rather than expands
+   * @param {Element} element - Control element
+   * @returns {boolean} True if the label matches a localized collapse label
+   */
+  isCollapseControl(element) {
+    const label = (element.getAttribute('aria-label') || '').toLowerCase();
+    return label.length > 0 && CalendarDOMAdapter.labels.collapse.some(pattern => label.includes(pattern.toLowerCase()));
   },
 
   /**
@@ -589,27 +1153,24 @@ const CalendarDOM = {
 
   /**
    * Find calendars in specific sections (My calendars, Other calendars)
+   * @param {Set<Element>} elements - Set to add found calendar elements to
+   * @param {Object} profile - Layout profile providing the selectors
    */
-  findCalendarsInSections(elements) {
+  findCalendarsInSections(elements, profile = CalendarDOMAdapter.getProfile()) {
     const sectionSelectors = [
       // My calendars section
-      '[data-drawer="my-calendars"]',
-      '[aria-label*="マイカレンダー"]',
-      '[aria-label*="My calendars"]',
+      ...CalendarDOMAdapter.getSectionSelectors('my', profile),
       // Other calendars section
-      '[data-drawer="other-calendars"]',
-      '[aria-label*="他のカレンダー"]',
-      '[aria-label*="Other calendars"]',
+      ...CalendarDOMAdapter.getSectionSelectors('other', profile),
       // Generic calendar sections
-      '[role="group"][aria-label*="calendar"]',
-      '[role="group"][aria-label*="カレンダー"]'
+      ...profile.selectors.calendarSection
     ];
 
     sectionSelectors.forEach(selector => {
       const section = document.querySelector(selector);
       if (section) {
         console.log(`Found calendar section: ${selector}`);
-        const checkboxes = section.querySelectorAll('input[type="checkbox"], [role="checkbox"]');
+        const checkboxes = section.querySelectorAll(profile.selectors.checkbox);
         console.log(`Section contains ${checkboxes.length} checkboxes`);
         
         checkboxes.forEach(checkbox => {
@@ -625,9 +1186,11 @@ const CalendarDOM = {
 
   /**
    * Find calendars from all checkboxes on the page
+   * @param {Set<Element>} elements - Set to add found calendar elements to
+   * @param {Object} profile - Layout profile providing the selectors
    */
-  findCalendarsFromCheckboxes(elements) {
-    const allCheckboxes = document.querySelectorAll('input[type="checkbox"], [role="checkbox"]');
+  findCalendarsFromCheckboxes(elements, profile = CalendarDOMAdapter.getProfile()) {
+    const allCheckboxes = document.querySelectorAll(profile.selectors.checkbox);
     console.log(`Found ${allCheckboxes.length} total checkboxes`);
     
     allCheckboxes.forEach((checkbox, index) => {
@@ -642,24 +1205,15 @@ const CalendarDOM = {
 
   /**
    * Find calendars in sidebar areas
+   * @param {Set<Element>} elements - Set to add found calendar elements to
+   * @param {Object} profile - Layout profile providing the selectors
    */
-  findCalendarsInSidebar(elements) {
-    const sidebarSelectors = [
-      'aside',
-      '[role="navigation"]',
-      '[role="complementary"]',
-      '.gb_pc', // Google sidebar class
-      '[data-testid*="sidebar"]',
-      '[data-testid*="calendar"]',
-      '[class*="sidebar"]',
-      '[class*="nav"]'
-    ];
-    
-    sidebarSelectors.forEach(selector => {
+  findCalendarsInSidebar(elements, profile = CalendarDOMAdapter.getProfile()) {
+    profile.selectors.sidebar.forEach(selector => {
       const sidebar = document.querySelector(selector);
       if (sidebar) {
         console.log(`Found sidebar with selector: ${selector}`);
-        const sidebarCheckboxes = sidebar.querySelectorAll('input[type="checkbox"], [role="checkbox"]');
+        const sidebarCheckboxes = sidebar.querySelectorAll(profile.selectors.checkbox);
         console.log(`Sidebar contains ${sidebarCheckboxes.length} checkboxes`);
         
         sidebarCheckboxes.forEach(checkbox => {
@@ -674,23 +1228,15 @@ const CalendarDOM = {
 
   /**
    * Find calendars using Google Calendar specific patterns
+   * @param {Set<Element>} elements - Set to add found calendar elements to
+   * @param {Object} profile - Layout profile providing the selectors
    */
-  findCalendarsWithGooglePatterns(elements) {
+  findCalendarsWithGooglePatterns(elements, profile = CalendarDOMAdapter.getProfile()) {
     // Look for Google Calendar specific class patterns
-    const googlePatterns = [
-      '[class*="calendar"]',
-      '[class*="Calendar"]',
-      '[jsname]', // Google often uses jsname attribute
-      '[data-eventid]',
-      '[data-calendarid]',
-      '[id*="calendar"]',
-      '[id*="Calendar"]'
-    ];
-
-    googlePatterns.forEach(pattern => {
+    profile.selectors.patterns.forEach(pattern => {
       const patternElements = document.querySelectorAll(pattern);
       patternElements.forEach(element => {
-        const checkbox = element.querySelector('input[type="checkbox"], [role="checkbox"]');
+        const checkbox = element.querySelector(profile.selectors.checkbox);
         if (checkbox) {
           const container = this.findCalendarContainer(checkbox);
           if (container && this.isCalendarItem(container)) {
@@ -703,9 +1249,9 @@ const CalendarDOM = {
 
     // Look for text patterns that indicate calendar sections
     const textPatterns = [
-      'マイカレンダー', 'My calendars', 'my calendars',
-      '他のカレンダー', 'Other calendars', 'other calendars',
-      'カレンダー', 'Calendar', 'calendar'
+      ...CalendarDOMAdapter.labels.myCalendars,
+      ...CalendarDOMAdapter.labels.otherCalendars,
+      ...CalendarDOMAdapter.labels.calendar
     ];
 
     textPatterns.forEach(pattern => {
@@ -719,7 +1265,7 @@ const CalendarDOM = {
         // Look for checkboxes in the parent or siblings
         const parent = element.parentElement;
         if (parent) {
-          const nearbyCheckboxes = parent.querySelectorAll('input[type="checkbox"], [role="checkbox"]');
+          const nearbyCheckboxes = parent.querySelectorAll(profile.selectors.checkbox);
           nearbyCheckboxes.forEach(checkbox => {
             const container = this.findCalendarContainer(checkbox);
             if (container && this.isCalendarItem(container)) {
@@ -789,12 +1335,8 @@ const CalendarDOM = {
     // Check for calendar-specific sections
     console.log('=== CALENDAR SECTIONS ===');
     const calendarSections = [
-      '[data-drawer="my-calendars"]',
-      '[data-drawer="other-calendars"]',
-      '[aria-label*="マイカレンダー"]',
-      '[aria-label*="My calendars"]',
-      '[aria-label*="他のカレンダー"]',
-      '[aria-label*="Other calendars"]'
+      ...CalendarDOMAdapter.getSectionSelectors('my'),
+      ...CalendarDOMAdapter.getSectionSelectors('other')
     ];
 
     calendarSections.forEach(selector => {
@@ -829,7 +1371,7 @@ const CalendarDOM = {
 
     // Look for text patterns
     console.log('=== TEXT PATTERNS ===');
-    const textPatterns = ['マイカレンダー', 'My calendars', '他のカレンダー', 'Other calendars'];
+    const textPatterns = [...CalendarDOMAdapter.labels.myCalendars, ...CalendarDOMAdapter.labels.otherCalendars];
     textPatterns.forEach(pattern => {
       const xpath = `//*[contains(text(), "${pattern}")]`;
       const result = document.evaluate(xpath, document, null, XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE, null);
@@ -882,24 +1424,24 @@ const CalendarDOM = {
     if (!textContent.trim() && !ariaLabel && !title) return false;
     
     // Skip obvious system items (but be very specific)
-    const systemItems = [
-      'tasks', 'reminders', 'タスク', 'リマインダー', 
-      'birthdays', '誕生日', 'holidays', '祝日',
-      'フォローアップ', 'follow-up'
-    ];
+    const labels = CalendarDOMAdapter.labels;
+    const systemItems = labels.systemItems.map(item => item.toLowerCase());
     
     const isSystemItem = systemItems.some(item => {
       const text = textContent.toLowerCase().trim();
       const label = ariaLabel.toLowerCase().trim();
       const titleText = title.toLowerCase().trim();
+      // Whole-word match that also works for non-Latin scripts
+      const escaped = item.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const wordPattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u');
       
       // Exact match or surrounded by spaces/punctuation
       return text === item || 
              label === item ||
              titleText === item ||
-             new RegExp(`\\b${item}\\b`).test(text) ||
-             new RegExp(`\\b${item}\\b`).test(label) ||
-             new RegExp(`\\b${item}\\b`).test(titleText);
+             wordPattern.test(text) ||
+             wordPattern.test(label) ||
+             wordPattern.test(titleText);
     });
     
     if (isSystemItem) {
@@ -912,13 +1454,8 @@ const CalendarDOM = {
       // Email patterns (common for shared calendars)
       '@gmail.com', '@googlemail.com', '@group.calendar.google.com',
       '@outlook.com', '@hotmail.com', '@yahoo.com',
-      // Calendar-related keywords
-      'calendar', 'カレンダー', 'schedule', 'スケジュール',
-      'event', 'イベント', 'meeting', 'ミーティング',
-      // Common calendar names
-      'work', '仕事', 'personal', '個人', 'family', '家族',
-      'holiday', '祝日', 'vacation', '休暇',
-      'project', 'プロジェクト', 'team', 'チーム'
+      // Calendar-related keywords and common calendar names in the page's language
+      ...labels.indicators
     ];
     
     const hasCalendarIndicator = calendarIndicators.some(indicator => 
@@ -926,7 +1463,10 @@ const CalendarDOM = {
     );
     
     // Check if it's in a calendar section
-    const isInCalendarSection = element.closest('[aria-label*="calendar"], [aria-label*="カレンダー"], [data-drawer*="calendar"]');
+    const isInCalendarSection = element.closest([
+      ...labels.calendar.map(label => `[aria-label*="${label}"]`),
+      '[data-drawer*="calendar"]'
+    ].join(', '));
     
     // Check for calendar-specific attributes
     const hasCalendarAttributes = element.hasAttribute('data-calendarid') ||
@@ -1024,6 +1564,17 @@ const CalendarDOM = {
    * @returns {string} Calendar ID or generated ID
    */
   getCalendarId(element) {
+    // Prefer the real calendar identity (email or Google calendar ID) when the DOM exposes it
+    return this.resolveCalendarIdentity(element) || this.getLegacyCalendarId(element);
+  },
+
+  /**
+   * Get the calendar ID used before identities were resolved
+   * Groups saved by older versions hold these IDs (see CalendarGroupManager.rematchGroupCalendars)
+   * @param {Element} element - Calendar element
+   * @returns {string} Raw attribute value or generated ID
+   */
+  getLegacyCalendarId(element) {
     // Try to get actual calendar ID from data attributes
     const possibleAttributes = [
       'data-calendarid', 'data-eventid', 'data-calendar-id', 
@@ -1066,32 +1617,166 @@ const CalendarDOM = {
   },
 
   /**
-   * Show/hide calendar element
-   * @param {Element} element - Calendar element to toggle
-   * @param {boolean} visible - Whether to show or hide
+   * Resolve the calendar's email or Google calendar ID from the DOM
+   * Only the calendar's own row is searched, so an ID belonging to a neighbouring row or
+   * an email mentioned in a label is never taken for this calendar's ID
+   * @param {Element} element - Calendar element
+   * @returns {string|null} Calendar identity or null if none is exposed
    */
-  toggleCalendarVisibility(element, visible) {
-    if (visible) {
-      element.style.display = '';
-      element.classList.remove('gcgm-hidden');
-    } else {
-      element.style.display = 'none';
-      element.classList.add('gcgm-hidden');
+  resolveCalendarIdentity(element) {
+    const candidates = [];
+    const checkbox = this.getCheckboxElement(element) || element;
+    const checkboxSelector = '[role="checkbox"], input[type="checkbox"]';
+
+    // The row is the largest ancestor of the checkbox that holds no other checkbox
+    const rowElements = [];
+    for (let node = checkbox; node && node !== document.body; node = node.parentElement) {
+      if (node !== checkbox && node.querySelectorAll(checkboxSelector).length > 1) break;
+      rowElements.push(node);
+    }
+    const row = rowElements[rowElements.length - 1] || checkbox;
+
+    // Method 1: Data attributes on the checkbox and the row elements around it
+    const identityAttributes = ['data-calendarid', 'data-calendar-id', 'data-id', 'data-email', 'data-cid'];
+    rowElements.forEach(node => {
+      identityAttributes.forEach(attr => {
+        if (node.hasAttribute(attr)) candidates.push(node.getAttribute(attr));
+      });
+    });
+
+    // Method 2: Links to calendar settings or embeds in the row (?cid=... or ?src=...)
+    row.querySelectorAll('a[href]').forEach(link => {
+      try {
+        const url = new URL(link.getAttribute('href'), window.location.origin);
+        ['cid', 'src'].forEach(param => {
+          if (url.searchParams.has(param)) candidates.push(url.searchParams.get(param));
+        });
+      } catch (e) {
+        // Ignore malformed URLs
+      }
+    });
+
+    // Method 3: A checkbox labelled with nothing but the calendar's email
+    ['aria-label', 'title'].forEach(attr => {
+      const value = (checkbox.getAttribute(attr) || '').trim();
+      if (/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value)) candidates.push(value);
+    });
+
+    for (const candidate of candidates) {
+      const identity = this.normalizeCalendarIdentity(candidate);
+      if (identity) {
+        console.log(`Resolved calendar identity: ${identity}`);
+        return identity;
+      }
     }
+
+    return null;
   },
 
   /**
-   * Get checkbox element from calendar item
-   * @param {Element} calendarElement - Calendar item element
-   * @returns {Element|null} Checkbox element
+   * Normalize a candidate value into a calendar identity
+   * @param {string} value - Raw attribute or parameter value
+   * @returns {string|null} Email-like calendar ID or null
    */
-  getCheckboxElement(calendarElement) {
-    // Try different ways to find the checkbox
-    let checkbox = calendarElement.querySelector('[role="checkbox"]');
-    if (checkbox) return checkbox;
-    
-    checkbox = calendarElement.querySelector('input[type="checkbox"]');
-    if (checkbox) return checkbox;
+  normalizeCalendarIdentity(value) {
+    if (!value) return null;
+
+    const emailPattern = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+    const trimmed = value.trim();
+    if (emailPattern.test(trimmed)) {
+      return trimmed.toLowerCase();
+    }
+
+    // Google Calendar often encodes calendar IDs as (URL-safe) base64
+    if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(trimmed) && trimmed.length >= 8) {
+      try {
+        const decoded = atob(trimmed.replace(/-/g, '+').replace(/_/g, '/'));
+        if (emailPattern.test(decoded)) {
+          return decoded.toLowerCase();
+        }
+      } catch (e) {
+        // Not base64
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Get fallback fingerprint used to re-match a calendar whose ID changed
+   * @param {Element} element - Calendar element
+   * @returns {Object} Fingerprint with name, color and section
+   */
+  getCalendarFingerprint(element) {
+    return {
+      name: this.getCalendarName(element),
+      color: this.getCalendarColor(element),
+      section: this.getCalendarSection(element)
+    };
+  },
+
+  /**
+   * Get the calendar's color from inline styles of the element or its checkbox
+   * @param {Element} element - Calendar element
+   * @returns {string} Normalized color or empty string
+   */
+  getCalendarColor(element) {
+    const styledElements = [element, ...element.querySelectorAll('[style]')];
+    const colorPattern = /(?:background-color|border-color|color)\s*:\s*(#[0-9a-f]{3,8}|rgba?\([^)]*\))/i;
+
+    for (const styledElement of styledElements) {
+      const style = styledElement.getAttribute('style') || '';
+      const match = style.match(colorPattern);
+      if (match) {
+        return match[1].replace(/\s+/g, '').toLowerCase();
+      }
+    }
+
+    return '';
+  },
+
+  /**
+   * Get the sidebar section a calendar belongs to
+   * @param {Element} element - Calendar element
+   * @returns {string} 'my', 'other' or empty string if unknown
+   */
+  getCalendarSection(element) {
+    if (element.closest(CalendarDOMAdapter.getSectionSelectors('my').join(', '))) {
+      return 'my';
+    }
+    if (element.closest(CalendarDOMAdapter.getSectionSelectors('other').join(', '))) {
+      return 'other';
+    }
+    return '';
+  },
+
+  /**
+   * Show/hide calendar element
+   * @param {Element} element - Calendar element to toggle
+   * @param {boolean} visible - Whether to show or hide
+   */
+  toggleCalendarVisibility(element, visible) {
+    if (visible) {
+      element.style.display = '';
+      element.classList.remove('gcgm-hidden');
+    } else {
+      element.style.display = 'none';
+      element.classList.add('gcgm-hidden');
+    }
+  },
+
+  /**
+   * Get checkbox element from calendar item
+   * @param {Element} calendarElement - Calendar item element
+   * @returns {Element|null} Checkbox element
+   */
+  getCheckboxElement(calendarElement) {
+    // Try different ways to find the checkbox
+    let checkbox = calendarElement.querySelector('[role="checkbox"]');
+    if (checkbox) return checkbox;
+    
+    checkbox = calendarElement.querySelector('input[type="checkbox"]');
+    if (checkbox) return checkbox;
     
     // Check if the element itself is a checkbox
     if (calendarElement.matches('[role="checkbox"], input[type="checkbox"]')) {
@@ -1140,14 +1825,450 @@ const CalendarDOM = {
   }
 };
 
+/**
+ * Calendar view navigation for groups with view settings
+ * Google Calendar keeps the view and date in the URL (/calendar/u/0/r/week/2026/3/2)
+ */
+const CalendarView = {
+  /**
+   * URL path segment for each view type ('custom' is the user's custom view in Calendar settings)
+   */
+  paths: {
+    day: 'day',
+    week: 'week',
+    month: 'month',
+    agenda: 'agenda',
+    custom: 'customday'
+  },
+
+  /**
+   * Get the date a view setting points to
+   * @param {Object} view - View setting with an optional date ({mode: 'relative', offsetDays} or {mode: 'absolute', value})
+   * @param {Date} today - Reference date for relative dates
+   * @returns {Date|null} Target date or null to keep Calendar's current date
+   */
+  getTargetDate(view, today = new Date()) {
+    const date = view.date;
+    if (!date) return null;
+
+    if (date.mode === 'absolute') {
+      const match = (date.value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    if (date.mode === 'relative') {
+      const target = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+      target.setDate(target.getDate() + (Number(date.offsetDays) || 0));
+      return target;
+    }
+
+    return null;
+  },
+
+  /**
+   * Build the Calendar path for a view setting, keeping the account prefix of the current URL
+   * @param {Object} view - View setting with type and optional date
+   * @param {string} pathname - Current location pathname
+   * @param {Date} today - Reference date for relative dates
+   * @returns {string|null} Path to navigate to or null if the view is not supported
+   */
+  buildPath(view, pathname, today = new Date()) {
+    const segment = this.paths[view.type];
+    if (!segment) return null;
+
+    const prefixMatch = pathname.match(/^\/calendar(?:\/u\/\d+)?/);
+    const prefix = prefixMatch ? prefixMatch[0] : '/calendar';
+    const date = this.getTargetDate(view, today);
+    const dateSuffix = date ? `/${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}` : '';
+
+    return `${prefix}/r/${segment}${dateSuffix}`;
+  },
+
+  /**
+   * Get the path to load for a view setting from the current page
+   * @param {Object} view - View setting with type and optional date
+   * @returns {string|null} Path, or null if the view is already shown or not supported
+   */
+  getNavigationPath(view) {
+    const path = this.buildPath(view, window.location.pathname);
+    return path && path !== window.location.pathname ? path : null;
+  },
+
+  /**
+   * Load a Calendar path
+   * Calendar's in-page router is not a public API, so the page is loaded in full;
+   * calendar visibility is kept by Calendar and the group state by the session storage
+   * @param {string} path - Path from getNavigationPath()
+   */
+  navigate(path) {
+    window.location.assign(path);
+  }
+};
+
+/**
+ * Compact group switcher injected above the calendar list in Google Calendar's sidebar
+ * Goes through the manager's toggleGroup/showAllCalendars so it behaves like the popup
+ */
+class GroupSwitcher {
+  constructor(manager) {
+    this.manager = manager;
+    this.groups = {};
+    this.container = null;
+    this.isBusy = false;
+    this.reattachTimer = null;
+    this.errorTimer = null;
+  }
+
+  /**
+   * Insert the switcher and keep it in sync with storage and sidebar re-renders
+   */
+  async init() {
+    this.injectStyles();
+
+    const { groups = {} } = await StorageUtils.get(['groups']);
+    this.groups = await AccountScope.filterGroups(groups);
+    this.attach();
+
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName === 'sync' && changes.groups) {
+        this.groups = await AccountScope.filterGroups(changes.groups.newValue || {});
+        this.render();
+      }
+    });
+
+    // Google Calendar re-renders the sidebar when navigating; put the switcher back when it is dropped
+    const observer = new MutationObserver(() => {
+      if (this.container && this.container.isConnected) return;
+      clearTimeout(this.reattachTimer);
+      this.reattachTimer = setTimeout(() => this.attach(), 200);
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Insert the switcher above the "My calendars" section (or at the top of the sidebar)
+   */
+  attach() {
+    // Only one switcher per page, even if the content script runs twice
+    const existing = document.querySelector('.gcgm-switcher');
+    if (existing && existing !== this.container) return;
+
+    const anchor = this.findAnchor();
+    if (!anchor) {
+      console.log('In-page switcher: sidebar not found yet');
+      return;
+    }
+
+    if (!this.container) {
+      this.container = document.createElement('div');
+      this.container.className = 'gcgm-switcher';
+      this.container.setAttribute('role', 'toolbar');
+      this.container.setAttribute('aria-label', 'カレンダーグループ');
+    }
+
+    anchor.parent.insertBefore(this.container, anchor.before);
+    this.render();
+  }
+
+  /**
+   * Find where to insert the switcher
+   * @returns {Object|null} Parent element and the node to insert before
+   */
+  findAnchor() {
+    const section = document.querySelector(CalendarDOMAdapter.getSectionSelectors('my').join(', '));
+    if (section && section.parentElement) {
+      return { parent: section.parentElement, before: section };
+    }
+
+    const sidebar = document.querySelector(CalendarDOMAdapter.getProfile().selectors.sidebar.join(', '));
+    if (sidebar) {
+      return { parent: sidebar, before: sidebar.firstChild };
+    }
+
+    return null;
+  }
+
+  /**
+   * Render one chip per group plus a "show all" chip, reflecting the active groups
+   */
+  render() {
+    if (!this.container) return;
+
+    const groupIds = GroupUtils.getSortedGroupIds(this.groups);
+    this.container.style.display = groupIds.length === 0 ? 'none' : '';
+    this.container.textContent = '';
+
+    const activeGroups = this.manager.activeGroups.filter(groupId => this.groups[groupId]);
+
+    const allChip = this.createChip('すべて', null, activeGroups.length === 0);
+    allChip.title = 'すべてのカレンダーを表示';
+    this.container.appendChild(allChip);
+
+    groupIds.forEach(groupId => {
+      const group = this.groups[groupId];
+      const chip = this.createChip(group.name, group, activeGroups.includes(groupId));
+      chip.dataset.groupId = groupId;
+      chip.title = `${group.name}（Ctrl/Shift+クリックで追加、Alt+クリックで除外）`;
+      chip.classList.toggle('gcgm-hide-mode', this.manager.groupModes[groupId] === 'hide');
+      this.container.appendChild(chip);
+    });
+
+    this.container.querySelectorAll('.gcgm-chip').forEach(chip => {
+      chip.disabled = this.isBusy;
+    });
+  }
+
+  /**
+   * Create a chip button
+   * @param {string} label - Chip label
+   * @param {Object|null} group - Group data, or null for the "show all" chip
+   * @param {boolean} isActive - Whether the chip is currently applied
+   * @returns {HTMLButtonElement} Chip element
+   */
+  createChip(label, group, isActive) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'gcgm-chip';
+    chip.classList.toggle('gcgm-active', isActive);
+    chip.setAttribute('aria-pressed', String(isActive));
+
+    if (group) {
+      const color = /^#[0-9a-f]{6}$/i.test(group.color || '') ? group.color : '#039be5';
+      const icon = document.createElement('span');
+      icon.className = 'gcgm-chip-icon';
+      icon.style.setProperty('--gcgm-group-color', color);
+      icon.textContent = group.icon || '';
+      chip.appendChild(icon);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'gcgm-chip-name';
+    name.textContent = label;
+    chip.appendChild(name);
+
+    chip.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.handleChipClick(e, chip.dataset.groupId || null);
+    });
+
+    return chip;
+  }
+
+  /**
+   * Apply a group, or show all calendars for the "show all" chip
+   * @param {MouseEvent} event - Click event (modifiers select additive or hide mode)
+   * @param {string|null} groupId - Group ID, or null to show all
+   */
+  async handleChipClick(event, groupId) {
+    if (this.isBusy) return;
+
+    this.isBusy = true;
+    this.render();
+
+    try {
+      const report = await this.manager.enqueue(() => groupId ?
+        this.manager.toggleGroup(groupId, event.ctrlKey || event.metaKey || event.shiftKey, event.altKey ? 'hide' : 'solo') :
+        this.manager.showAllCalendars()
+      );
+
+      if (report.rolledBack) {
+        this.showError(`${report.failed.length}個のカレンダーを切り替えられなかったため、元の表示に戻しました`);
+      } else if (report.failed.length > 0) {
+        this.showError(`一部のカレンダーを切り替えられませんでした: ${report.failed.map(calendar => calendar.name).join('、')}`);
+      }
+    } catch (error) {
+      console.error('In-page switcher failed:', error);
+      this.showError('グループの切り替えに失敗しました');
+    } finally {
+      this.isBusy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Flag the switcher with an error message for a few seconds
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    if (!this.container) return;
+
+    this.container.classList.add('gcgm-error');
+    this.container.title = message;
+    clearTimeout(this.errorTimer);
+    this.errorTimer = setTimeout(() => {
+      this.container.classList.remove('gcgm-error');
+      this.container.removeAttribute('title');
+    }, 3000);
+  }
+
+  /**
+   * Add the switcher styles to the page once, matching Google Calendar's chips
+   */
+  injectStyles() {
+    if (document.getElementById('gcgm-switcher-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'gcgm-switcher-styles';
+    style.textContent = `
+      .gcgm-switcher {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        padding: 8px 16px 8px 24px;
+        border-radius: 8px;
+        font-family: 'Google Sans', Roboto, Arial, sans-serif;
+      }
+      .gcgm-switcher.gcgm-error {
+        box-shadow: inset 0 0 0 1px #d93025;
+      }
+      .gcgm-chip {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        max-width: 100%;
+        height: 24px;
+        padding: 0 10px;
+        border: 1px solid #dadce0;
+        border-radius: 12px;
+        background: transparent;
+        color: #3c4043;
+        font: inherit;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      .gcgm-chip:hover:not(:disabled) {
+        background: rgba(60, 64, 67, 0.08);
+      }
+      .gcgm-chip:disabled {
+        cursor: progress;
+        opacity: 0.6;
+      }
+      .gcgm-chip.gcgm-active {
+        background: #e8f0fe;
+        border-color: #1a73e8;
+        color: #1967d2;
+      }
+      .gcgm-chip.gcgm-active.gcgm-hide-mode {
+        background: #fce8e6;
+        border-color: #d93025;
+        color: #c5221f;
+      }
+      .gcgm-chip-icon {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        min-width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        background: var(--gcgm-group-color);
+        font-size: 12px;
+        line-height: 1;
+      }
+      .gcgm-chip-icon:not(:empty) {
+        height: auto;
+        background: none;
+      }
+      .gcgm-chip-name {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+/**
+ * Bounded undo/redo history of calendar visibility states
+ * Each entry is the page state after a group activation or show-all;
+ * the first entry is the state before the first change
+ */
+class VisibilityHistory {
+  /**
+   * @param {Object|null} saved - History previously saved in session storage
+   * @param {number} maxEntries - Maximum number of states kept
+   */
+  constructor(saved = null, maxEntries = 20) {
+    this.maxEntries = maxEntries;
+    this.entries = saved && Array.isArray(saved.entries) ? saved.entries.slice(-maxEntries) : [];
+    this.index = saved && typeof saved.index === 'number' ?
+      Math.min(Math.max(saved.index, 0), this.entries.length - 1) :
+      this.entries.length - 1;
+  }
+
+  /**
+   * Check whether any state has been recorded
+   * @returns {boolean} True if the history is empty
+   */
+  isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is an earlier state to go back to
+   */
+  canUndo() {
+    return this.index > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is an undone state to go forward to
+   */
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Record a new state, dropping undone states and the oldest ones beyond the limit
+   * @param {Object} entry - Visibility state
+   */
+  push(entry) {
+    this.entries = [...this.entries.slice(0, this.index + 1), entry].slice(-this.maxEntries);
+    this.index = this.entries.length - 1;
+  }
+
+  /**
+   * Get the state one step back or forward without moving
+   * @param {number} direction - -1 for undo, 1 for redo
+   * @returns {Object|null} Visibility state or null if there is none
+   */
+  peek(direction) {
+    return this.entries[this.index + direction] || null;
+  }
+
+  /**
+   * Move one step back or forward
+   * @param {number} direction - -1 for undo, 1 for redo
+   */
+  move(direction) {
+    this.index = Math.min(Math.max(this.index + direction, 0), this.entries.length - 1);
+  }
+
+  /**
+   * Get the history in a form that can be stored in session storage
+   * @returns {Object} Entries and current index
+   */
+  toJSON() {
+    return { entries: this.entries, index: this.index };
+  }
+}
+
 /**
  * Main Calendar Group Manager class
  */
 class CalendarGroupManager {
   constructor() {
-    this.currentActiveGroup = null;
+    this.activeGroups = [];
+    this.groupModes = {};
     this.originalCalendarStates = new Map();
+    this.history = new VisibilityHistory();
     this.isInitialized = false;
+    this.stateRestored = null;
+    this.switcher = null;
+    // Visibility changes run one at a time, in the order they were requested
+    this.operationQueue = Promise.resolve();
+    this.groupRequested = false;
     this.init();
   }
 
@@ -1159,16 +2280,136 @@ class CalendarGroupManager {
     
     // Set up message listener immediately for popup communication
     this.setupMessageListener();
+
+    // Restore active group and snapshot saved before a reload or re-injection
+    this.stateRestored = this.restoreSessionState();
+    this.stateRestored.then(() => this.notifyActiveGroupsChanged());
     
     // Wait for calendar DOM to be ready in background
-    this.waitForCalendarDOM().then(() => {
+    this.waitForCalendarDOM().then(async () => {
       this.isInitialized = true;
       console.log('Calendar Group Manager fully initialized');
+
+      // Map this account's index to its email before picking groups by account
+      await AccountScope.recordEmail().catch(error => {
+        console.warn('Failed to record account email:', error);
+      });
+
+      // Start with the scheduled or default group
+      await this.stateRestored;
+      await this.enqueue(() => this.applyStartupGroup());
+
+      // Group switcher in the page's sidebar
+      this.switcher = new GroupSwitcher(this);
+      await this.switcher.init();
+    }).catch(error => {
+      console.error('Failed to start Calendar Group Manager:', error);
     });
     
     console.log('Calendar Group Manager message listener ready');
   }
 
+  /**
+   * Run a visibility change once the changes queued before it have finished
+   * Two changes clicking the same checkboxes at once would undo each other's clicks
+   * @param {Function} operation - Async function making the change
+   * @returns {Promise<*>} Result of the operation
+   */
+  enqueue(operation) {
+    const result = this.operationQueue.then(operation);
+    this.operationQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Queue a group change requested by the popup, a shortcut, another tab or a schedule
+   * A request that arrives while the page is loading replaces its startup group
+   * @param {Function} operation - Async function making the change
+   * @returns {Promise<*>} Result of the operation
+   */
+  enqueueGroupRequest(operation) {
+    this.groupRequested = true;
+    return this.enqueue(async () => {
+      // A tab opened by the popup can be asked before its sidebar has rendered
+      if (!this.isInitialized) {
+        await this.waitForCalendarDOM();
+        this.isInitialized = true;
+      }
+      return operation();
+    });
+  }
+
+  /**
+   * Restore active group and original calendar states from session storage
+   */
+  async restoreSessionState() {
+    try {
+      const state = await SessionState.load();
+      if (!state) return;
+
+      this.activeGroups = state.activeGroups || (state.activeGroup ? [state.activeGroup] : []);
+      this.groupModes = state.groupModes || {};
+      this.originalCalendarStates = new Map(Object.entries(state.originalCalendarStates || {}));
+      this.history = new VisibilityHistory(state.history);
+      console.log('Restored session state:', state);
+
+      // This load is a group's view switch: keep the group as if it had been requested now
+      if (state.navigatingTo) {
+        if (state.navigatingTo === window.location.pathname) {
+          this.groupRequested = true;
+        }
+        await this.persistSessionState();
+      }
+    } catch (error) {
+      console.warn('Failed to restore session state:', error);
+    }
+  }
+
+  /**
+   * Save active group and original calendar states to session storage
+   * @param {Object} extra - Additional state for the next load of the page only
+   */
+  async persistSessionState(extra = {}) {
+    try {
+      if (this.activeGroups.length === 0 && this.originalCalendarStates.size === 0 && this.history.isEmpty()) {
+        await SessionState.clear();
+        return;
+      }
+
+      await SessionState.save({
+        activeGroups: this.activeGroups,
+        groupModes: this.groupModes,
+        originalCalendarStates: Object.fromEntries(this.originalCalendarStates),
+        history: this.history.toJSON(),
+        ...extra
+      });
+    } catch (error) {
+      console.warn('Failed to persist session state:', error);
+    }
+  }
+
+  /**
+   * Report the active groups to the background script (toolbar badge) and the in-page switcher
+   * @param {Object} options - Notification options
+   * @param {boolean} options.propagate - Whether the background may sync the change to other tabs
+   */
+  notifyActiveGroupsChanged({ propagate = false } = {}) {
+    if (this.switcher) {
+      this.switcher.render();
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'activeGroupsChanged',
+      activeGroups: this.activeGroups,
+      groupModes: this.groupModes,
+      propagate
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to report active groups:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+
   /**
    * Wait for Google Calendar DOM to be fully loaded
    * @returns {Promise<void>}
@@ -1191,7 +2432,7 @@ class CalendarGroupManager {
         }
         
         // Look for calendar sidebar or any calendar elements
-        const hasSidebar = document.querySelector('aside, [role="navigation"], .KKjvXb, .Y2Qmjb');
+        const hasSidebar = document.querySelector(CalendarDOMAdapter.getProfile().selectors.sidebar.join(', '));
         const hasCheckboxes = document.querySelectorAll('[role="checkbox"]').length > 0;
         const calendars = CalendarDOM.getCalendarElements();
         
@@ -1222,17 +2463,36 @@ class CalendarGroupManager {
           return true;
         
         case 'toggleGroup':
-          this.handleToggleGroup(message.groupId, sendResponse);
+          this.handleToggleGroup(message.groupId, message.additive, message.mode, sendResponse);
           return true;
         
         case 'showAllCalendars':
           this.handleShowAllCalendars(sendResponse);
           return true;
-        
-        case 'forceRefreshCalendars':
-          this.handleForceRefreshCalendars(sendResponse);
+
+        case 'applyActiveGroups':
+          this.handleApplyActiveGroups(message.activeGroups, message.groupModes, {
+            applyView: Boolean(message.applyView),
+            propagate: Boolean(message.propagate)
+          }, sendResponse);
           return true;
-        
+
+        case 'undo':
+          this.handleHistoryStep(-1, sendResponse);
+          return true;
+
+        case 'redo':
+          this.handleHistoryStep(1, sendResponse);
+          return true;
+        
+        case 'forceRefreshCalendars':
+          this.handleForceRefreshCalendars(sendResponse);
+          return true;
+
+        case 'getState':
+          this.handleGetState(sendResponse);
+          return true;
+        
         default:
           sendResponse({ error: 'Unknown action' });
       }
@@ -1285,12 +2545,25 @@ class CalendarGroupManager {
   /**
    * Handle toggle group request
    * @param {string} groupId - Group ID to toggle
+   * @param {boolean} additive - Whether to add to the active groups instead of replacing them
+   * @param {string} mode - 'solo' to show only the group, 'hide' to hide only the group
    * @param {Function} sendResponse - Response callback
    */
-  async handleToggleGroup(groupId, sendResponse) {
+  async handleToggleGroup(groupId, additive, mode, sendResponse) {
     try {
-      await this.toggleGroup(groupId);
-      sendResponse({ success: true, activeGroup: this.currentActiveGroup });
+      const report = await this.enqueueGroupRequest(() => this.toggleGroup(groupId, additive, mode));
+
+      if (report.rolledBack) {
+        sendResponse({
+          error: 'Too many calendars failed to toggle, restored the previous state',
+          activeGroups: this.activeGroups,
+          groupModes: this.groupModes,
+          report
+        });
+        return;
+      }
+
+      sendResponse({ success: true, activeGroups: this.activeGroups, groupModes: this.groupModes, report });
     } catch (error) {
       console.error('Error toggling group:', error);
       sendResponse({ error: error.message });
@@ -1303,14 +2576,163 @@ class CalendarGroupManager {
    */
   async handleShowAllCalendars(sendResponse) {
     try {
-      await this.showAllCalendars();
-      sendResponse({ success: true });
+      const report = await this.enqueueGroupRequest(() => this.showAllCalendars());
+      sendResponse({ success: true, report });
     } catch (error) {
       console.error('Error showing all calendars:', error);
       sendResponse({ error: error.message });
     }
   }
 
+  /**
+   * Handle an exact set of active groups, synced from another tab or chosen by a shortcut or schedule
+   * @param {Array<string>} activeGroups - Group IDs to apply
+   * @param {Object} groupModes - Activation mode keyed by group ID
+   * @param {Object} options - applyView and propagate options of applyActiveGroups()
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleApplyActiveGroups(activeGroups, groupModes, options, sendResponse) {
+    try {
+      const report = await this.enqueueGroupRequest(() =>
+        this.applyActiveGroups(activeGroups || [], groupModes || {}, options)
+      );
+      sendResponse({
+        success: !report.rolledBack,
+        activeGroups: this.activeGroups,
+        groupModes: this.groupModes,
+        report
+      });
+    } catch (error) {
+      console.error('Error applying synced groups:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  /**
+   * Handle undo or redo request
+   * @param {number} direction - -1 for undo, 1 for redo
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleHistoryStep(direction, sendResponse) {
+    try {
+      const report = await this.enqueueGroupRequest(() => this.restoreHistory(direction));
+      sendResponse({
+        success: true,
+        activeGroups: this.activeGroups,
+        groupModes: this.groupModes,
+        canUndo: this.history.canUndo(),
+        canRedo: this.history.canRedo(),
+        report
+      });
+    } catch (error) {
+      console.error('Error restoring visibility history:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  /**
+   * Handle get state request
+   * Reports the active groups, snapshot status and per-calendar visibility
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleGetState(sendResponse) {
+    try {
+      await this.stateRestored;
+
+      const calendars = await this.getAvailableCalendars();
+      const groups = await this.loadGroups(calendars);
+      const activeGroups = this.activeGroups.filter(groupId => groups[groupId]);
+
+      sendResponse({
+        activeGroups,
+        groupModes: this.groupModes,
+        hasSnapshot: this.originalCalendarStates.size > 0,
+        layoutProfile: CalendarDOMAdapter.getMatchedProfileInfo(),
+        modified: activeGroups.length > 0 ? this.isGroupStateModified(activeGroups, groups, calendars) : false,
+        canUndo: this.history.canUndo(),
+        canRedo: this.history.canRedo(),
+        calendars
+      });
+    } catch (error) {
+      console.error('Error getting state:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  /**
+   * Check whether the page no longer matches the applied groups
+   * @param {Array<string>} groupIds - Applied group IDs
+   * @param {Object} groups - All groups keyed by ID
+   * @param {Array<Object>} calendars - Current calendars with visibility
+   * @returns {boolean} True if any calendar differs from the groups
+   */
+  isGroupStateModified(groupIds, groups, calendars) {
+    const plan = this.getVisibilityPlan(groupIds, this.groupModes, groups);
+    return calendars.some(calendar =>
+      this.getTargetVisibility(calendar.id, plan, calendar.visible) !== calendar.visible
+    );
+  }
+
+  /**
+   * Build the set of calendars to show and hide for the given groups
+   * Solo groups show only their calendars; hide groups hide only theirs (subgroups included)
+   * @param {Array<string>} groupIds - Active group IDs
+   * @param {Object} modes - Activation mode keyed by group ID
+   * @param {Object} groups - All groups keyed by ID
+   * @returns {Object} Visibility plan
+   */
+  getVisibilityPlan(groupIds, modes, groups) {
+    const soloIds = groupIds.filter(groupId => modes[groupId] !== 'hide');
+    const hideIds = groupIds.filter(groupId => modes[groupId] === 'hide');
+
+    return {
+      hasSolo: soloIds.length > 0,
+      shown: new Set(this.getUnionCalendarIds(soloIds, groups)),
+      hidden: new Set(this.getUnionCalendarIds(hideIds, groups))
+    };
+  }
+
+  /**
+   * Get the visibility a calendar should have under a plan
+   * Calendars not covered by a solo group keep their original state
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} plan - Visibility plan
+   * @param {boolean} currentVisible - Current visibility, used when no snapshot exists
+   * @returns {boolean} Target visibility
+   */
+  getTargetVisibility(calendarId, plan, currentVisible) {
+    if (plan.hidden.has(calendarId)) return false;
+    if (plan.hasSolo) return plan.shown.has(calendarId);
+
+    const originalState = this.originalCalendarStates.get(calendarId);
+    return originalState !== undefined ? originalState : currentVisible;
+  }
+
+  /**
+   * Get the union of calendar IDs in several groups, including those of their subgroups
+   * @param {Array<string>} groupIds - Group IDs
+   * @param {Object} groups - All groups keyed by ID
+   * @returns {Array<string>} Unique calendar IDs
+   */
+  getUnionCalendarIds(groupIds, groups) {
+    const calendarIds = new Set();
+    const visited = new Set();
+
+    const collect = (groupId) => {
+      // Skip groups already seen, so a cycle in imported data cannot loop forever
+      const group = groups[groupId];
+      if (!group || visited.has(groupId)) return;
+      visited.add(groupId);
+
+      (group.calendars || []).forEach(calendarId => calendarIds.add(calendarId));
+      (group.ruleCalendars || []).forEach(calendarId => calendarIds.add(calendarId));
+      (group.children || []).forEach(collect);
+    };
+
+    groupIds.forEach(collect);
+    return Array.from(calendarIds);
+  }
+
   /**
    * Get all available calendars
    * @param {boolean} forceExpand - Whether to expand calendar sections
@@ -1321,41 +2743,492 @@ class CalendarGroupManager {
     
     return calendarElements.map(element => ({
       id: CalendarDOM.getCalendarId(element),
-      name: CalendarDOM.getCalendarName(element),
+      legacyId: CalendarDOM.getLegacyCalendarId(element),
+      ...CalendarDOM.getCalendarFingerprint(element),
       visible: CalendarDOM.isCalendarChecked(element)
     }));
   }
 
   /**
-   * Toggle group visibility
+   * Load groups and re-match calendar IDs that are no longer on the page
+   * Uses the fingerprints stored with each group and saves any repaired IDs
+   * @param {Array<Object>} calendars - Current calendars (fetched if omitted)
+   * @returns {Promise<Object>} Groups of this page's account keyed by ID
+   */
+  async loadGroups(calendars = null) {
+    const { groups: allGroups = {} } = await StorageUtils.get(['groups']);
+    const groups = await AccountScope.filterGroups(allGroups);
+    const currentCalendars = calendars || await this.getAvailableCalendars();
+
+    if (this.rematchGroupCalendars(groups, currentCalendars)) {
+      await StorageUtils.set({ groups: allGroups });
+    }
+
+    // Evaluate rule-based membership against the calendars on the page right now
+    // (ruleCalendars is never written back to storage)
+    Object.values(groups).forEach(group => {
+      group.ruleCalendars = GroupRules.getMatchingCalendarIds(group, currentCalendars);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Replace stale calendar IDs in groups with the calendar matching their fingerprint
+   * IDs saved before fingerprints existed are matched by the legacy ID scheme instead
+   * @param {Object} groups - Groups keyed by ID (modified in place)
+   * @param {Array<Object>} calendars - Current calendars
+   * @returns {boolean} True if any group was changed
+   */
+  rematchGroupCalendars(groups, calendars) {
+    if (calendars.length === 0) return false;
+
+    const currentIds = new Set(calendars.map(calendar => calendar.id));
+    let changed = false;
+
+    Object.values(groups).forEach(group => {
+      const fingerprints = group.calendarFingerprints || {};
+
+      (group.calendars || []).forEach((calendarId, index) => {
+        if (currentIds.has(calendarId)) return;
+
+        const match = fingerprints[calendarId]
+          ? this.findCalendarByFingerprint(fingerprints[calendarId], calendars, group.calendars)
+          : this.findCalendarByLegacyId(calendarId, calendars, group.calendars);
+        if (!match) return;
+
+        console.log(`Re-matched calendar ${calendarId} -> ${match.id} (${match.name})`);
+        group.calendars[index] = match.id;
+        fingerprints[match.id] = { name: match.name, color: match.color, section: match.section };
+        delete fingerprints[calendarId];
+        group.calendarFingerprints = fingerprints;
+        changed = true;
+      });
+    });
+
+    return changed;
+  }
+
+  /**
+   * Find the single calendar that best matches a fingerprint
+   * The name must match; color and section break ties
+   * @param {Object} fingerprint - Stored fingerprint
+   * @param {Array<Object>} calendars - Current calendars
+   * @param {Array<string>} excludeIds - IDs already in the group
+   * @returns {Object|null} Matching calendar or null if none or ambiguous
+   */
+  findCalendarByFingerprint(fingerprint, calendars, excludeIds) {
+    const normalize = (text) => (text || '').trim().toLowerCase();
+
+    const scored = calendars
+      .filter(calendar => !excludeIds.includes(calendar.id))
+      .filter(calendar => normalize(calendar.name) === normalize(fingerprint.name))
+      .map(calendar => ({
+        calendar,
+        score: (fingerprint.color && calendar.color === fingerprint.color ? 1 : 0) +
+               (fingerprint.section && calendar.section === fingerprint.section ? 1 : 0)
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+    if (scored.length > 1 && scored[0].score === scored[1].score) return null;
+    return scored[0].calendar;
+  }
+  /**
+   * Find the calendar a group saved by an older version meant
+   * Matches the raw attribute or generated cal_<name>_<text>_<index> ID of the old scheme;
+   * generated IDs are compared without the index, which changes when calendars move.
+   * IDs that are just a calendar name match by name.
+   * @param {string} calendarId - Stored legacy ID
+   * @param {Array<Object>} calendars - Current calendars
+   * @param {Array<string>} excludeIds - IDs already in the group
+   * @returns {Object|null} Matching calendar or null if none or ambiguous
+   */
+  findCalendarByLegacyId(calendarId, calendars, excludeIds) {
+    const normalize = (text) => (text || '').trim().toLowerCase();
+    const withoutIndex = (id) => id.startsWith('cal_') ? id.replace(/_\d+$/, '') : id;
+    const candidates = calendars.filter(calendar => !excludeIds.includes(calendar.id));
+
+    const exact = candidates.filter(calendar => calendar.legacyId === calendarId);
+    if (exact.length === 1) return exact[0];
+
+    const moved = candidates.filter(calendar =>
+      calendar.legacyId && withoutIndex(calendar.legacyId) === withoutIndex(calendarId)
+    );
+    if (moved.length === 1) return moved[0];
+
+    const named = candidates.filter(calendar => normalize(calendar.name) === normalize(calendarId));
+    return named.length === 1 ? named[0] : null;
+  }
+
+
+  /**
+   * Toggle group visibility, then switch to the group's view setting if it has one
    * @param {string} groupId - ID of group to toggle
+   * @param {boolean} additive - Add to or remove from the active groups instead of replacing them
+   * @param {string} mode - 'solo' to show only the group, 'hide' to hide only the group
+   * @returns {Promise<Object>} Per-calendar toggle report, with navigatedTo set if the view changed
    */
-  async toggleGroup(groupId) {
-    const { groups = {} } = await StorageUtils.get(['groups']);
+  async toggleGroup(groupId, additive = false, mode = 'solo') {
+    const groups = await this.loadGroups();
     const group = groups[groupId];
     
     if (!group) {
       throw new Error('Group not found');
     }
 
-    // If this group is already active, show all calendars
-    if (this.currentActiveGroup === groupId) {
-      await this.showAllCalendars();
+    await this.stateRestored;
+
+    const activeGroups = this.activeGroups.filter(id => groups[id]);
+    const isActiveInMode = activeGroups.includes(groupId) && (this.groupModes[groupId] || 'solo') === mode;
+    let nextGroups;
+
+    if (additive) {
+      // Clicking an active group in the same mode removes it; otherwise add it or switch its mode
+      nextGroups = isActiveInMode ?
+        activeGroups.filter(id => id !== groupId) :
+        [...activeGroups.filter(id => id !== groupId), groupId];
+    } else {
+      // If this group is the only active one in this mode, show all calendars
+      nextGroups = activeGroups.length === 1 && isActiveInMode ? [] : [groupId];
+    }
+
+    if (nextGroups.length === 0) {
+      return this.showAllCalendars();
+    }
+
+    const nextModes = {};
+    nextGroups.forEach(id => {
+      nextModes[id] = id === groupId ? mode : (this.groupModes[id] || 'solo');
+    });
+
+    const report = await this.applyGroups(nextGroups, nextModes, groups);
+
+    // Switch the view only once the visibility change and snapshot are saved
+    if (!report.rolledBack && nextGroups.includes(groupId) && group.view) {
+      report.navigatedTo = await this.switchView(group.view);
+    }
+
+    return report;
+  }
+
+  /**
+   * Apply an exact set of active groups, as synced from another tab
+   * Unlike toggleGroup, applying the same groups again leaves them on
+   * @param {Array<string>} groupIds - Group IDs to apply
+   * @param {Object} modes - Activation mode keyed by group ID
+   * @param {Object} options - Apply options
+   * @param {boolean} options.applyView - Whether to switch to the view of a single applied group, as toggleGroup does
+   * @param {boolean} options.propagate - Whether the change may be synced to other tabs
+   *   (off by default, so synced tabs do not echo changes back and forth)
+   * @returns {Promise<Object>} Per-calendar toggle report, with navigatedTo set if the view changed
+   */
+  async applyActiveGroups(groupIds, modes, { applyView = false, propagate = false } = {}) {
+    const groups = await this.loadGroups();
+    await this.stateRestored;
+
+    const nextGroups = groupIds.filter(groupId => groups[groupId]);
+    if (nextGroups.length === 0) {
+      return this.showAllCalendars({ propagate });
+    }
+
+    const nextModes = {};
+    nextGroups.forEach(groupId => {
+      nextModes[groupId] = modes[groupId] === 'hide' ? 'hide' : 'solo';
+    });
+
+    const report = await this.applyGroups(nextGroups, nextModes, groups, { propagate });
+
+    const group = groups[nextGroups[0]];
+    if (applyView && !report.rolledBack && nextGroups.length === 1 && group.view) {
+      report.navigatedTo = await this.switchView(group.view);
+    }
+
+    return report;
+  }
+
+  /**
+   * Load a group's view, keeping the group applied on the reloaded page
+   * @param {Object} view - View setting with type and optional date
+   * @returns {Promise<string|null>} Path navigated to, or null if the view is already shown or not supported
+   */
+  async switchView(view) {
+    const path = CalendarView.getNavigationPath(view);
+    if (!path) return null;
+
+    // The reloaded page keeps this group instead of applying its startup group
+    await this.persistSessionState({ navigatingTo: path });
+    CalendarView.navigate(path);
+    return path;
+  }
+
+  /**
+   * Apply the group the page should start with once the calendar list has loaded
+   * A schedule in effect wins; otherwise the account's default group is applied
+   * unless a group is already active (a reload keeps the user's choice).
+   * Neither is applied when a group was requested while the page was loading
+   * @returns {Promise<Object|null>} Per-calendar toggle report, or null if nothing was applied
+   */
+  async applyStartupGroup() {
+    if (this.groupRequested) return null;
+
+    const scheduledGroupId = await this.getScheduledGroupId();
+    const defaultGroupId = scheduledGroupId ? null : await this.getDefaultGroupId();
+    await this.discardStaleLoadSnapshot(scheduledGroupId || defaultGroupId);
+
+    if (scheduledGroupId) {
+      return this.applyGroupOnLoad(scheduledGroupId);
+    }
+
+    if (this.activeGroups.length > 0) return null;
+
+    return defaultGroupId ? this.applyGroupOnLoad(defaultGroupId) : null;
+  }
+
+  /**
+   * Ask the background worker which group the schedule selects right now
+   * @returns {Promise<string|null>} Group ID or null if no schedule is in effect
+   */
+  async getScheduledGroupId() {
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getScheduledGroup' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.warn('Failed to get scheduled group:', chrome.runtime.lastError.message);
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+
+    return (response && response.groupId) || null;
+  }
+
+  /**
+   * Get the group set to open with this page's account
+   * @returns {Promise<string|null>} Group ID or null if none is set
+   */
+  async getDefaultGroupId() {
+    const { settings = {}, groups = {} } = await StorageUtils.get(['settings', 'groups']);
+    const { account, accountEmails } = await AccountScope.getAccount();
+    const groupId = GroupUtils.getAccountSetting(settings.defaultGroups, account, accountEmails);
+    return groupId && GroupUtils.filterGroupsByAccount(groups, account, accountEmails)[groupId] ? groupId : null;
+  }
+
+  /**
+   * Apply a group when the page loads, after taking the visibility snapshot
+   * Skipped when that group is already the only active one, e.g. after a reload
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>} Per-calendar toggle report, or null if nothing was applied
+   */
+  async applyGroupOnLoad(groupId) {
+    const isAlreadyActive = this.activeGroups.length === 1 && this.activeGroups[0] === groupId &&
+      this.groupModes[groupId] !== 'hide';
+    if (isAlreadyActive) return null;
+
+    try {
+      const hadSnapshot = this.originalCalendarStates.size > 0;
+      await this.takeLoadSnapshot(groupId);
+      const report = await this.applyActiveGroups([groupId], { [groupId]: 'solo' });
+
+      // Nothing was applied, so drop the snapshot taken for it
+      if (report.rolledBack && !hadSnapshot) {
+        this.originalCalendarStates.clear();
+      }
+      return report;
+    } catch (error) {
+      console.error('Failed to apply group on load:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take the snapshot "show all" returns to before a group is applied on load
+   * Google Calendar keeps calendar visibility between visits, so a page that still shows the
+   * group applied on the previous load reuses that load's snapshot instead of the group's state
+   * @param {string} groupId - Group about to be applied
+   */
+  async takeLoadSnapshot(groupId) {
+    if (this.originalCalendarStates.size > 0) return;
+
+    const snapshotKey = await this.getLoadSnapshotKey();
+    const { [snapshotKey]: saved } = await StorageUtils.getLocal([snapshotKey]);
+
+    const calendars = await this.getAvailableCalendars();
+    const groups = await this.loadGroups(calendars);
+    const isLeftOver = saved && saved.groupId === groupId &&
+      !this.isGroupStateModified([groupId], groups, calendars);
+
+    if (isLeftOver) {
+      this.originalCalendarStates = new Map(Object.entries(saved.states));
       return;
     }
 
+    await this.saveCurrentCalendarStates();
+    await StorageUtils.setLocal({
+      [snapshotKey]: { groupId, states: Object.fromEntries(this.originalCalendarStates) }
+    });
+  }
+
+  /**
+   * Get the local storage key of the snapshot taken on load for this page's account
+   * @returns {Promise<string>} Storage key
+   */
+  async getLoadSnapshotKey() {
+    const { account } = await AccountScope.getAccount();
+    return `loadSnapshot_${account}`;
+  }
+
+  /**
+   * Remove the load snapshot once the page no longer starts with the group it was taken for
+   * @param {string|null} groupId - Group the page starts with, or null if none
+   */
+  async discardStaleLoadSnapshot(groupId) {
+    const snapshotKey = await this.getLoadSnapshotKey();
+    const { [snapshotKey]: saved } = await StorageUtils.getLocal([snapshotKey]);
+    if (saved && saved.groupId !== groupId) {
+      await StorageUtils.removeLocal([snapshotKey]);
+    }
+  }
+
+  /**
+   * Apply the given groups to the calendar list
+   * @param {Array<string>} groupIds - Group IDs to apply
+   * @param {Object} modes - Activation mode ('solo' or 'hide') keyed by group ID
+   * @param {Object} groups - All groups keyed by ID
+   * @param {Object} options - Apply options
+   * @param {boolean} options.propagate - Whether the change may be synced to other tabs
+   * @returns {Promise<Object>} Per-calendar toggle report, with rolledBack set if reverted
+   */
+  async applyGroups(groupIds, modes, groups, { propagate = true } = {}) {
+    await this.recordHistoryBaseline();
+    const previousState = await this.captureVisibilityState();
+
     // Save current calendar states if not already saved
     if (this.originalCalendarStates.size === 0) {
       await this.saveCurrentCalendarStates();
     }
 
-    // Hide all calendars first
-    await this.hideAllCalendars();
+    const report = await this.applyVisibilityPlan(this.getVisibilityPlan(groupIds, modes, groups));
+
+    // Too many calendars did not flip: return to the state before this change instead of leaving a half-applied group
+    if (this.shouldRollBack(report)) {
+      console.warn(`${report.failed.length}/${report.changed} calendars failed, rolling back`);
+      await this.restoreVisibilityState(previousState);
+      return { ...report, rolledBack: true };
+    }
+
+    this.activeGroups = groupIds;
+    this.groupModes = modes;
+    await this.recordHistory();
+    await this.persistSessionState();
+    this.notifyActiveGroupsChanged({ propagate });
+    return report;
+  }
+
+  /**
+   * Capture the page's calendar visibility together with the group state
+   * @returns {Promise<Object>} Visibility state for the history
+   */
+  async captureVisibilityState() {
+    const calendarElements = await CalendarDOM.getCalendarElements(false);
+    const calendarStates = {};
+    calendarElements.forEach(element => {
+      calendarStates[CalendarDOM.getCalendarId(element)] = CalendarDOM.isCalendarChecked(element);
+    });
+
+    return {
+      activeGroups: [...this.activeGroups],
+      groupModes: { ...this.groupModes },
+      originalCalendarStates: Object.fromEntries(this.originalCalendarStates),
+      calendarStates
+    };
+  }
+
+  /**
+   * Record the state before the first change, so the first change can be undone
+   */
+  async recordHistoryBaseline() {
+    if (this.history.isEmpty()) {
+      this.history.push(await this.captureVisibilityState());
+    }
+  }
+
+  /**
+   * Record the state after a group activation or show-all
+   */
+  async recordHistory() {
+    this.history.push(await this.captureVisibilityState());
+  }
+
+  /**
+   * Go back or forward in the visibility history
+   * @param {number} direction - -1 for undo, 1 for redo
+   * @returns {Promise<Object>} Per-calendar toggle report
+   */
+  async restoreHistory(direction) {
+    await this.stateRestored;
+
+    const entry = this.history.peek(direction);
+    if (!entry) {
+      throw new Error(direction < 0 ? 'Nothing to undo' : 'Nothing to redo');
+    }
+
+    const report = await this.restoreVisibilityState(entry);
 
-    // Show only calendars in this group
-    await this.showCalendarsInGroup(group.calendars);
+    this.history.move(direction);
+    await this.persistSessionState();
+    this.notifyActiveGroupsChanged({ propagate: true });
+    return report;
+  }
+
+  /**
+   * Return the calendars and the group state to a state from captureVisibilityState()
+   * @param {Object} state - Visibility state
+   * @returns {Promise<Object>} Per-calendar toggle report
+   */
+  async restoreVisibilityState(state) {
+    const calendarElements = await CalendarDOM.getCalendarElements(false);
+    const targets = calendarElements
+      .map(element => ({
+        element,
+        id: CalendarDOM.getCalendarId(element),
+        visible: state.calendarStates[CalendarDOM.getCalendarId(element)]
+      }))
+      .filter(target => target.visible !== undefined);
+
+    const report = await this.applyCalendarStates(targets);
+
+    this.activeGroups = [...state.activeGroups];
+    this.groupModes = { ...state.groupModes };
+    this.originalCalendarStates = new Map(Object.entries(state.originalCalendarStates || {}));
+    return report;
+  }
+
+  /**
+   * Undo the last group activation or show-all
+   * @returns {Promise<Object>} Per-calendar toggle report
+   */
+  undo() {
+    return this.restoreHistory(-1);
+  }
 
-    this.currentActiveGroup = groupId;
+  /**
+   * Redo the last undone change
+   * @returns {Promise<Object>} Per-calendar toggle report
+   */
+  redo() {
+    return this.restoreHistory(1);
+  }
+
+  /**
+   * Check whether a toggle report has too many failures to keep
+   * @param {Object} report - Toggle report
+   * @returns {boolean} True if the change should be rolled back
+   */
+  shouldRollBack(report) {
+    const maxFailureRatio = 0.5;
+    return report.failed.length > 0 && report.failed.length / report.changed > maxFailureRatio;
   }
 
   /**
@@ -1372,111 +3245,163 @@ class CalendarGroupManager {
   }
 
   /**
-   * Hide all calendars
+   * Set every calendar to the visibility required by a plan
+   * @param {Object} plan - Visibility plan from getVisibilityPlan()
+   * @returns {Promise<Object>} Per-calendar toggle report
    */
-  async hideAllCalendars() {
-    console.log('Hiding all calendars...');
+  async applyVisibilityPlan(plan) {
+    console.log('Applying visibility plan:', plan);
     const calendarElements = await CalendarDOM.getCalendarElements(false);
     console.log(`Found ${calendarElements.length} calendar elements to process`);
     
-    calendarElements.forEach((element, index) => {
-      const checkbox = CalendarDOM.getCheckboxElement(element);
+    const targets = calendarElements.map(element => {
+      const id = CalendarDOM.getCalendarId(element);
       const isChecked = CalendarDOM.isCalendarChecked(element);
-      const calendarName = CalendarDOM.getCalendarName(element);
-      
-      console.log(`Calendar ${index}: ${calendarName}, checked: ${isChecked}`);
-      
-      if (checkbox && isChecked) {
-        console.log(`Clicking to hide: ${calendarName}`);
-        this.toggleCalendarVisibility(checkbox, false);
-      }
+      return { element, id, visible: this.getTargetVisibility(id, plan, isChecked) };
     });
+
+    return this.applyCalendarStates(targets);
   }
 
   /**
-   * Show calendars in specific group
-   * @param {Array<string>} calendarIds - Array of calendar IDs to show
+   * Toggle calendars one at a time, waiting for each change to land
+   * @param {Array<Object>} targets - Calendar element, ID and target visibility
+   * @returns {Promise<Object>} Report with the number of changed calendars and the failures
    */
-  async showCalendarsInGroup(calendarIds) {
-    console.log('Showing calendars in group:', calendarIds);
-    const calendarElements = await CalendarDOM.getCalendarElements(false);
-    
-    calendarElements.forEach(element => {
-      const id = CalendarDOM.getCalendarId(element);
-      const calendarName = CalendarDOM.getCalendarName(element);
-      
-      console.log(`Checking calendar: ${calendarName} (id: ${id})`);
+  async applyCalendarStates(targets) {
+    const results = [];
+
+    for (const target of targets) {
+      const checkbox = CalendarDOM.getCheckboxElement(target.element);
+      const isChecked = CalendarDOM.isCalendarChecked(target.element);
+      const calendarName = CalendarDOM.getCalendarName(target.element);
       
-      if (calendarIds.includes(id)) {
-        const checkbox = CalendarDOM.getCheckboxElement(element);
-        const isChecked = CalendarDOM.isCalendarChecked(element);
-        
-        console.log(`Calendar ${calendarName} should be shown, currently checked: ${isChecked}`);
-        
-        if (checkbox && !isChecked) {
-          console.log(`Clicking to show: ${calendarName}`);
-          this.toggleCalendarVisibility(checkbox, true);
-        }
+      console.log(`Calendar ${calendarName} (id: ${target.id}): should be ${target.visible}, currently ${isChecked}`);
+
+      if (isChecked === target.visible) continue;
+
+      let success = false;
+      if (checkbox) {
+        console.log(`Clicking to ${target.visible ? 'show' : 'hide'}: ${calendarName}`);
+        success = await this.toggleCalendarVisibility(checkbox, target.visible);
       }
-    });
+
+      results.push({ id: target.id, name: calendarName, visible: target.visible, success });
+    }
+
+    const failed = results.filter(result => !result.success);
+    console.log(`Toggled ${results.length - failed.length}/${results.length} calendars`);
+
+    return {
+      changed: results.length,
+      succeeded: results.length - failed.length,
+      failed,
+      results
+    };
   }
 
   /**
    * Show all calendars (restore original state)
+   * @param {Object} options - Show options
+   * @param {boolean} options.propagate - Whether the change may be synced to other tabs
+   * @returns {Promise<Object>} Per-calendar toggle report
    */
-  async showAllCalendars() {
+  async showAllCalendars({ propagate = true } = {}) {
     console.log('Showing all calendars...');
+    await this.stateRestored;
+    await this.recordHistoryBaseline();
+
     const calendarElements = await CalendarDOM.getCalendarElements(false);
     
-    calendarElements.forEach(element => {
-      const id = CalendarDOM.getCalendarId(element);
-      const shouldBeVisible = this.originalCalendarStates.get(id);
-      const isCurrentlyVisible = CalendarDOM.isCalendarChecked(element);
-      const checkbox = CalendarDOM.getCheckboxElement(element);
-      const calendarName = CalendarDOM.getCalendarName(element);
-      
-      console.log(`Restoring ${calendarName}: should be ${shouldBeVisible}, currently ${isCurrentlyVisible}`);
-      
-      if (checkbox && shouldBeVisible !== undefined && shouldBeVisible !== isCurrentlyVisible) {
-        console.log(`Toggling ${calendarName} to original state: ${shouldBeVisible}`);
-        this.toggleCalendarVisibility(checkbox, shouldBeVisible);
-      }
-    });
+    const targets = calendarElements
+      .map(element => ({
+        element,
+        id: CalendarDOM.getCalendarId(element),
+        visible: this.originalCalendarStates.get(CalendarDOM.getCalendarId(element))
+      }))
+      .filter(target => target.visible !== undefined);
+
+    const report = await this.applyCalendarStates(targets);
 
-    // Clear saved states and active group
+    // Clear saved states and active group; the calendars are back as they were before the load snapshot too
+    if (this.originalCalendarStates.size > 0) {
+      await StorageUtils.removeLocal([await this.getLoadSnapshotKey()]);
+    }
     this.originalCalendarStates.clear();
-    this.currentActiveGroup = null;
+    this.activeGroups = [];
+    this.groupModes = {};
+    await this.recordHistory();
+    await this.persistSessionState();
+    this.notifyActiveGroupsChanged({ propagate });
+    return report;
   }
 
   /**
-   * Toggle calendar visibility with multiple methods
+   * Toggle calendar visibility and wait until the checkbox reflects it
+   * Falls back to forceCalendarState when the click does not take effect
    * @param {Element} checkbox - Checkbox element
    * @param {boolean} visible - Whether to make visible
+   * @returns {Promise<boolean>} True if the checkbox reached the expected state
    */
-  toggleCalendarVisibility(checkbox, visible) {
+  async toggleCalendarVisibility(checkbox, visible) {
     console.log(`Toggling calendar visibility to: ${visible}`);
     
     try {
       // Method 1: Direct click
       checkbox.click();
-      
-      // Verify the change after a short delay
-      setTimeout(() => {
-        const currentState = checkbox.getAttribute('aria-checked') === 'true' || 
-                           checkbox.checked === true ||
-                           checkbox.getAttribute('aria-pressed') === 'true';
-        console.log(`After click, calendar state is: ${currentState}, expected: ${visible}`);
-        
-        // If the state didn't change as expected, try alternative methods
-        if (currentState !== visible) {
-          this.forceCalendarState(checkbox, visible);
-        }
-      }, 200);
-      
+
+      if (await this.waitForCheckboxState(checkbox, visible)) {
+        return true;
+      }
+      console.log(`Click did not change calendar state to ${visible}, trying alternative methods`);
     } catch (error) {
       console.warn('Click failed, trying alternative methods:', error);
-      this.forceCalendarState(checkbox, visible);
     }
+
+    this.forceCalendarState(checkbox, visible);
+    return this.waitForCheckboxState(checkbox, visible);
+  }
+
+  /**
+   * Wait for a checkbox to reach the expected checked state
+   * @param {Element} checkbox - Checkbox element
+   * @param {boolean} expected - Expected checked state
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   * @returns {Promise<boolean>} True if the state was reached before the timeout
+   */
+  waitForCheckboxState(checkbox, expected, timeout = 1500) {
+    const readState = () => checkbox.getAttribute('aria-checked') === 'true' ||
+                            checkbox.checked === true ||
+                            checkbox.getAttribute('aria-pressed') === 'true';
+
+    return new Promise((resolve) => {
+      if (readState() === expected) {
+        resolve(true);
+        return;
+      }
+
+      let observer = null;
+      let pollTimer = null;
+      let timeoutTimer = null;
+
+      const finish = (result) => {
+        if (observer) observer.disconnect();
+        clearInterval(pollTimer);
+        clearTimeout(timeoutTimer);
+        console.log(`Calendar state is: ${readState()}, expected: ${expected}`);
+        resolve(result);
+      };
+
+      const check = () => {
+        if (readState() === expected) finish(true);
+      };
+
+      // aria-checked changes are observed; native checkboxes only change a property, so poll as well
+      observer = new MutationObserver(check);
+      observer.observe(checkbox, { attributes: true, attributeFilter: ['aria-checked', 'aria-pressed'] });
+      pollTimer = setInterval(check, 50);
+      timeoutTimer = setTimeout(() => finish(false), timeout);
+    });
   }
 
   /**
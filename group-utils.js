@@ -0,0 +1,242 @@
+/**
+ * Group helpers shared by the content script, popup, options page and background worker
+ * Loaded as a plain script before each of them (see manifest.json, popup.html, options.html
+ * and the importScripts call in background.js)
+ */
+
+/**
+ * Rule matching for dynamic groups
+ * A group's rules pick calendars by name pattern, email domain, sidebar section or color,
+ * in addition to the calendars added by hand
+ */
+const GroupRules = {
+  /**
+   * Check whether a calendar matches a single rule
+   * @param {Object} rule - Rule with type ('name', 'domain', 'section', 'color') and value
+   * @param {Object} calendar - Calendar with id, name, color and section
+   * @returns {boolean} True if the calendar matches
+   */
+  matchesRule(rule, calendar) {
+    const value = (rule.value || '').trim();
+    if (!value) return false;
+
+    switch (rule.type) {
+      case 'name':
+        try {
+          return new RegExp(value, 'i').test(calendar.name || '');
+        } catch (error) {
+          return false;
+        }
+
+      case 'domain': {
+        const domain = value.startsWith('@') ? value : `@${value}`;
+        return (calendar.id || '').toLowerCase().endsWith(domain.toLowerCase());
+      }
+
+      case 'section':
+        return calendar.section === value;
+
+      case 'color':
+        return this.normalizeColor(calendar.color) === this.normalizeColor(value);
+
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Check whether a calendar matches a group's rules
+   * @param {Object} group - Group with rules and ruleMatch ('all' or 'any')
+   * @param {Object} calendar - Calendar with id, name, color and section
+   * @returns {boolean} True if the group has rules and the calendar satisfies them
+   */
+  matchesGroup(group, calendar) {
+    const rules = group.rules || [];
+    if (rules.length === 0) return false;
+
+    return group.ruleMatch === 'any' ?
+      rules.some(rule => this.matchesRule(rule, calendar)) :
+      rules.every(rule => this.matchesRule(rule, calendar));
+  },
+
+  /**
+   * Get the calendars a group's rules currently select
+   * @param {Object} group - Group data
+   * @param {Array<Object>} calendars - Available calendars
+   * @returns {Array<string>} Matching calendar IDs
+   */
+  getMatchingCalendarIds(group, calendars) {
+    return calendars.filter(calendar => this.matchesGroup(group, calendar)).map(calendar => calendar.id);
+  },
+
+  /**
+   * Normalize a color to lowercase #rrggbb so hex and rgb() values compare equal
+   * @param {string} color - Hex or rgb() color
+   * @returns {string} Normalized color or empty string
+   */
+  normalizeColor(color) {
+    const value = (color || '').trim().toLowerCase();
+
+    const rgb = value.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    if (rgb) {
+      return `#${rgb.slice(1, 4).map(part => Number(part).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    const shortHex = value.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+    if (shortHex) {
+      return `#${shortHex.slice(1).map(part => part + part).join('')}`;
+    }
+
+    return value.slice(0, 7);
+  }
+};
+
+/**
+ * Google Calendar page opened for the first signed-in account
+ */
+const GOOGLE_CALENDAR_URL = 'https://calendar.google.com/calendar/r';
+
+/**
+ * Account that groups created before accounts were tracked belong to
+ */
+const DEFAULT_ACCOUNT = 'u0';
+
+/**
+ * Ordering and account scoping of groups
+ * Synced data (groups, schedule fallbacks, default groups) is keyed by the account's email,
+ * because the /u/N index of the Google Calendar URL ("u0", "u1", ...) depends on the sign-in order
+ * of each browser. Each browser maps its indexes to emails in storage.local (accountEmails).
+ * Data saved before the email of its account was known keeps the index and is resolved through that map.
+ */
+const GroupUtils = {
+  /**
+   * Get group IDs in the user-defined order
+   * Groups without an explicit order follow, oldest first
+   * @param {Object} groups - Groups keyed by ID
+   * @returns {Array<string>} Sorted group IDs
+   */
+  getSortedGroupIds(groups) {
+    const rank = (group) => typeof group.order === 'number' ? group.order : Number.MAX_SAFE_INTEGER;
+    return Object.keys(groups).sort((a, b) =>
+      (rank(groups[a]) - rank(groups[b])) || ((groups[a].createdAt || 0) - (groups[b].createdAt || 0))
+    );
+  },
+
+  /**
+   * Get the account index key from a Google Calendar URL or path (/calendar/u/1/... -> "u1")
+   * @param {string} url - Tab URL or page path
+   * @returns {string} Account index key
+   */
+  getAccountKey(url) {
+    const match = (url || '').match(/\/u\/(\d+)/);
+    return match ? `u${match[1]}` : DEFAULT_ACCOUNT;
+  },
+
+  /**
+   * Check whether an account ID is a /u/N index key rather than an email
+   * @param {string} account - Account ID
+   * @returns {boolean} True for index keys
+   */
+  isAccountKey(account) {
+    return /^u\d+$/.test(account || '');
+  },
+
+  /**
+   * Check whether a value can identify an account (an index key or an email)
+   * @param {*} account - Value to check
+   * @returns {boolean} True if valid
+   */
+  isAccountId(account) {
+    return typeof account === 'string' && (this.isAccountKey(account) || /^[^\s@]+@[^\s@]+$/.test(account));
+  },
+
+  /**
+   * Resolve an account ID to the email of its account when this browser knows it
+   * @param {string} account - Index key or email
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {string} Email, or the index key while its email is unknown
+   */
+  resolveAccount(account, accountEmails = {}) {
+    return (this.isAccountKey(account) && accountEmails[account]) || account;
+  },
+
+  /**
+   * Find this browser's index key of an account
+   * @param {string} account - Index key or email
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {string|null} Index key or null if the account is not signed in here
+   */
+  getAccountIndexKey(account, accountEmails = {}) {
+    if (this.isAccountKey(account)) return account;
+    return Object.keys(accountEmails).find(accountKey => accountEmails[accountKey] === account) || null;
+  },
+
+  /**
+   * Get the account a group belongs to
+   * @param {Object} group - Group data
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {string} Email, or the index key while its email is unknown
+   */
+  getGroupAccount(group, accountEmails = {}) {
+    return this.resolveAccount(group.account || DEFAULT_ACCOUNT, accountEmails);
+  },
+
+  /**
+   * Keep only the groups of one account
+   * The returned groups are the same objects, so changes to them show up in the full set
+   * @param {Object} groups - Groups keyed by ID
+   * @param {string} account - Resolved account ID (see resolveAccount)
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {Object} Groups of the account keyed by ID
+   */
+  filterGroupsByAccount(groups, account, accountEmails = {}) {
+    return Object.fromEntries(
+      Object.entries(groups).filter(([, group]) => this.getGroupAccount(group, accountEmails) === account)
+    );
+  },
+
+  /**
+   * Get an account's entry of a per-account setting (schedule fallback or default group)
+   * An entry under the account's email wins over one saved under its index key
+   * @param {Object} valuesByAccount - Values keyed by account ID
+   * @param {string} account - Resolved account ID (see resolveAccount)
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {*} Value or null if the account has none
+   */
+  getAccountSetting(valuesByAccount = {}, account, accountEmails = {}) {
+    if (account in valuesByAccount) return valuesByAccount[account] || null;
+    const entry = Object.entries(valuesByAccount)
+      .find(([key]) => this.resolveAccount(key, accountEmails) === account);
+    return (entry && entry[1]) || null;
+  },
+
+  /**
+   * Get a display label for an account: its position in this browser and its email when known
+   * @param {string} account - Index key or email
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {string} Account label
+   */
+  getAccountLabel(account, accountEmails = {}) {
+    const accountKey = this.getAccountIndexKey(account, accountEmails);
+    const email = this.isAccountKey(account) ? accountEmails[account] : account;
+    if (!accountKey) return email;
+
+    const label = `アカウント${Number(accountKey.slice(1)) + 1}`;
+    return email ? `${label}（${email}）` : label;
+  },
+
+  /**
+   * Get the Google Calendar URL of an account
+   * Accounts not yet seen in this browser are opened by email
+   * @param {string} account - Index key or email
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
+   * @returns {string} URL
+   */
+  getCalendarUrl(account, accountEmails = {}) {
+    const accountKey = this.getAccountIndexKey(account, accountEmails);
+    if (!accountKey) return `${GOOGLE_CALENDAR_URL}?authuser=${encodeURIComponent(account)}`;
+
+    const index = Number(accountKey.slice(1));
+    return index > 0 ? `https://calendar.google.com/calendar/u/${index}/r` : GOOGLE_CALENDAR_URL;
+  }
+};
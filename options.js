@@ -34,13 +34,26 @@ const StorageUtils = {
  * Tab utility functions
  */
 const TabUtils = {
+  /**
+   * Find all open Google Calendar tabs
+   * @returns {Promise<Array<Object>>} Google Calendar tabs
+   */
+  async findGoogleCalendarTabs() {
+    const tabs = await chrome.tabs.query({});
+    return tabs.filter(tab => tab.url && tab.url.includes('calendar.google.com'));
+  },
+
   /**
    * Find Google Calendar tab
+   * @param {string|null} account - Only consider tabs of this account
+   * @param {Object} accountEmails - Emails keyed by this browser's index keys
    * @returns {Promise<Object|null>} Google Calendar tab or null
    */
-  async findGoogleCalendarTab() {
-    const tabs = await chrome.tabs.query({});
-    return tabs.find(tab => tab.url && tab.url.includes('calendar.google.com')) || null;
+  async findGoogleCalendarTab(account = null, accountEmails = {}) {
+    const tabs = await this.findGoogleCalendarTabs();
+    return tabs.find(tab =>
+      !account || GroupUtils.resolveAccount(GroupUtils.getAccountKey(tab.url), accountEmails) === account
+    ) || null;
   },
 
   /**
@@ -79,7 +92,7 @@ const TabUtils = {
           try {
             await chrome.scripting.executeScript({
               target: { tabId: tabId },
-              files: ['content.js']
+              files: ['group-utils.js', 'content.js']
             });
             console.log('Re-injected content script');
           } catch (injectError) {
@@ -91,14 +104,98 @@ const TabUtils = {
   }
 };
 
+/**
+ * Colors offered for groups (Google Calendar's event palette)
+ */
+const GROUP_COLORS = [
+  { value: '#d50000', name: 'トマト' },
+  { value: '#e67c73', name: 'フラミンゴ' },
+  { value: '#f4511e', name: 'ミカン' },
+  { value: '#f6bf26', name: 'バナナ' },
+  { value: '#33b679', name: 'セージ' },
+  { value: '#0b8043', name: 'バジル' },
+  { value: '#039be5', name: 'ピーコック' },
+  { value: '#3f51b5', name: 'ブルーベリー' },
+  { value: '#7986cb', name: 'ラベンダー' },
+  { value: '#8e24aa', name: 'ブドウ' },
+  { value: '#616161', name: 'グラファイト' }
+];
+
+/**
+ * Icon presets offered for groups (any emoji can be typed as well)
+ */
+const GROUP_ICONS = ['💼', '🏠', '👪', '🎓', '⚽', '✈️', '📅', '⭐'];
+
+/**
+ * Color used for groups created before colors existed
+ */
+const DEFAULT_GROUP_COLOR = '#039be5';
+
+/**
+ * Rule types for rule-based groups
+ */
+const RULE_TYPES = [
+  { value: 'name', label: '名前（正規表現）', placeholder: '例: ^チーム' },
+  { value: 'domain', label: 'メールのドメイン', placeholder: '例: @group.calendar.google.com' },
+  { value: 'section', label: 'セクション' },
+  { value: 'color', label: '色' }
+];
+
+/**
+ * Weekdays in the order shown on the schedule editor (values match Date#getDay)
+ */
+const SCHEDULE_DAYS = [
+  { value: 1, label: '月' },
+  { value: 2, label: '火' },
+  { value: 3, label: '水' },
+  { value: 4, label: '木' },
+  { value: 5, label: '金' },
+  { value: 6, label: '土' },
+  { value: 0, label: '日' }
+];
+
+/**
+ * Calendar views a group can switch to (see CalendarView in content.js)
+ */
+const VIEW_TYPES = [
+  { value: 'day', label: '日' },
+  { value: 'week', label: '週' },
+  { value: 'month', label: '月' },
+  { value: 'agenda', label: 'スケジュール' },
+  { value: 'custom', label: 'カスタム表示' }
+];
+
+/**
+ * Sidebar sections a section rule can match
+ */
+const CALENDAR_SECTIONS = [
+  { value: 'my', label: 'マイカレンダー' },
+  { value: 'other', label: '他のカレンダー' }
+];
+
+/**
+ * Number of group slots that can be bound to a shortcut (activate-group-1..9 in manifest.json)
+ */
+const SHORTCUT_SLOT_COUNT = 9;
+
 /**
  * Main Options Manager class
  */
 class OptionsManager {
   constructor() {
     this.groups = {};
+    this.otherAccountGroups = {};
+    this.account = DEFAULT_ACCOUNT;
+    this.accounts = [DEFAULT_ACCOUNT];
+    this.accountEmails = {};
+    this.shortcutSlots = [];
+    this.schedules = [];
+    this.commandShortcuts = {};
+    this.settings = {};
     this.availableCalendars = [];
     this.currentEditingGroupId = null;
+    this.draggedGroupId = null;
+    this.selectedColor = DEFAULT_GROUP_COLOR;
     this.elements = {};
     this.init();
   }
@@ -115,6 +212,10 @@ class OptionsManager {
       this.elements.addGroupBtn.disabled = false;
     }
     
+    await this.loadShortcutSettings();
+    await this.loadSettings();
+    await this.loadSchedules();
+    await this.loadAccounts();
     await this.loadGroups();
     await this.loadAvailableCalendars();
   }
@@ -126,6 +227,9 @@ class OptionsManager {
     this.elements = {
       // Main elements
       addGroupBtn: document.getElementById('addGroupBtn'),
+      accountSelect: document.getElementById('accountSelect'),
+      copyTargetAccount: document.getElementById('copyTargetAccount'),
+      copyGroupsBtn: document.getElementById('copyGroupsBtn'),
       groupsList: document.getElementById('groupsList'),
       noGroups: document.getElementById('noGroups'),
       
@@ -140,11 +244,28 @@ class OptionsManager {
       groupForm: document.getElementById('groupForm'),
       groupName: document.getElementById('groupName'),
       groupNameError: document.getElementById('groupNameError'),
+      groupIcon: document.getElementById('groupIcon'),
+      groupIconOptions: document.getElementById('groupIconOptions'),
+      groupColorOptions: document.getElementById('groupColorOptions'),
+      groupAppearancePreview: document.getElementById('groupAppearancePreview'),
       calendarsList: document.getElementById('calendarsList'),
       noCalendars: document.getElementById('noCalendars'),
       loadingCalendars: document.getElementById('loadingCalendars'),
       loadingMessage: document.getElementById('loadingMessage'),
       calendarsError: document.getElementById('calendarsError'),
+      groupViewType: document.getElementById('groupViewType'),
+      groupViewDateMode: document.getElementById('groupViewDateMode'),
+      groupViewOffsetField: document.getElementById('groupViewOffsetField'),
+      groupViewOffset: document.getElementById('groupViewOffset'),
+      groupViewDate: document.getElementById('groupViewDate'),
+      viewError: document.getElementById('viewError'),
+      ruleMatch: document.getElementById('ruleMatch'),
+      rulesList: document.getElementById('rulesList'),
+      addRuleBtn: document.getElementById('addRuleBtn'),
+      rulePreview: document.getElementById('rulePreview'),
+      rulesError: document.getElementById('rulesError'),
+      subgroupsList: document.getElementById('subgroupsList'),
+      subgroupsError: document.getElementById('subgroupsError'),
       refreshCalendarsBtn: document.getElementById('refreshCalendarsBtn'),
       refreshCalendarsInModal: document.getElementById('refreshCalendarsInModal'),
       openCalendarBtn: document.getElementById('openCalendarBtn'),
@@ -157,6 +278,21 @@ class OptionsManager {
       confirmDeleteBtn: document.getElementById('confirmDeleteBtn'),
       deleteGroupName: document.getElementById('deleteGroupName'),
       
+      // Shortcut elements
+      shortcutSlotsList: document.getElementById('shortcutSlotsList'),
+
+      // Schedule elements
+      addScheduleBtn: document.getElementById('addScheduleBtn'),
+      schedulesList: document.getElementById('schedulesList'),
+      scheduleFallbackGroup: document.getElementById('scheduleFallbackGroup'),
+      schedulesError: document.getElementById('schedulesError'),
+      editShortcutKeysBtn: document.getElementById('editShortcutKeysBtn'),
+
+      // Behavior settings elements
+      defaultGroupSelect: document.getElementById('defaultGroupSelect'),
+      defaultGroupAccount: document.getElementById('defaultGroupAccount'),
+      syncAcrossTabs: document.getElementById('syncAcrossTabs'),
+      
       // Footer elements
       exportBtn: document.getElementById('exportBtn'),
       importBtn: document.getElementById('importBtn'),
@@ -206,6 +342,21 @@ class OptionsManager {
       }
     });
 
+    // Group color and icon pickers
+    this.setupAppearancePickers();
+
+    // Rule editor with live preview
+    this.setupRuleEditor();
+
+    // View settings show only the date fields that apply
+    this.elements.groupViewType.addEventListener('change', () => {
+      this.updateViewControls();
+    });
+
+    this.elements.groupViewDateMode.addEventListener('change', () => {
+      this.updateViewControls();
+    });
+
     // Form submission
     this.elements.groupForm.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -247,7 +398,7 @@ class OptionsManager {
     document.addEventListener('click', (e) => {
       if (e.target.id === 'openCalendarBtn' || e.target.closest('#openCalendarBtn')) {
         e.preventDefault();
-        window.open('https://calendar.google.com', '_blank');
+        window.open(GroupUtils.getCalendarUrl(this.account, this.accountEmails), '_blank');
       }
       
       if (e.target.id === 'retryLoadCalendars' || e.target.closest('#retryLoadCalendars')) {
@@ -258,6 +409,58 @@ class OptionsManager {
       }
     });
 
+    // Drag and drop reordering of group cards
+    this.setupGroupDragAndDrop();
+
+    // Shortcut key settings are managed by Chrome
+    this.elements.editShortcutKeysBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    // Account switcher and copying groups between accounts
+    this.elements.accountSelect.addEventListener('change', (e) => {
+      this.handleAccountChange(e.target.value);
+    });
+
+    this.elements.copyGroupsBtn.addEventListener('click', () => {
+      this.handleCopyGroups();
+    });
+
+    // Schedules are saved as soon as they are edited
+    this.elements.addScheduleBtn.addEventListener('click', () => {
+      this.handleAddSchedule();
+    });
+
+    this.elements.schedulesList.addEventListener('change', () => {
+      this.handleSchedulesChange();
+    });
+
+    this.elements.schedulesList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.schedule-remove-btn');
+      if (!removeBtn) return;
+      removeBtn.closest('.schedule-row').remove();
+      this.handleSchedulesChange();
+    });
+
+    this.elements.scheduleFallbackGroup.addEventListener('change', (e) => {
+      this.handleSettingChange('scheduleFallbackGroups', {
+        ...this.settings.scheduleFallbackGroups,
+        [this.account]: e.target.value || null
+      });
+    });
+
+    // Behavior settings
+    this.elements.syncAcrossTabs.addEventListener('change', (e) => {
+      this.handleSettingChange('syncAcrossTabs', e.target.checked);
+    });
+
+    this.elements.defaultGroupSelect.addEventListener('change', (e) => {
+      this.handleSettingChange('defaultGroups', {
+        ...this.settings.defaultGroups,
+        [this.account]: e.target.value || null
+      });
+    });
+
     // Import/Export
     this.elements.exportBtn.addEventListener('click', () => {
       this.handleExportSettings();
@@ -286,13 +489,209 @@ class OptionsManager {
   async loadGroups() {
     try {
       const { groups = {} } = await StorageUtils.get(['groups']);
-      this.groups = groups;
+      this.setGroups(groups);
       this.renderGroups();
     } catch (error) {
       console.error('Error loading groups:', error);
     }
   }
 
+  /**
+   * Split all groups into the selected account's groups and the rest
+   * @param {Object} groups - All groups keyed by ID
+   */
+  setGroups(groups) {
+    this.groups = GroupUtils.filterGroupsByAccount(groups, this.account, this.accountEmails);
+    this.otherAccountGroups = Object.fromEntries(
+      Object.entries(groups).filter(([groupId]) => !this.groups[groupId])
+    );
+  }
+
+  /**
+   * Get the groups of every account, as stored
+   * @returns {Object} All groups keyed by ID
+   */
+  getAllGroups() {
+    return { ...this.otherAccountGroups, ...this.groups };
+  }
+
+  /**
+   * Find the known accounts and start with the account of an open Google Calendar tab
+   * Accounts are known from their groups, open tabs and the emails recorded by Calendar pages
+   */
+  async loadAccounts() {
+    try {
+      const [{ groups = {} }, { accountEmails = {} }, calendarTabs] = await Promise.all([
+        StorageUtils.get(['groups']),
+        chrome.storage.local.get(['accountEmails']),
+        TabUtils.findGoogleCalendarTabs()
+      ]);
+      const tabAccounts = calendarTabs
+        .map(tab => GroupUtils.resolveAccount(GroupUtils.getAccountKey(tab.url), accountEmails));
+
+      this.accountEmails = accountEmails;
+      this.accounts = this.sortAccounts([
+        GroupUtils.resolveAccount(DEFAULT_ACCOUNT, accountEmails),
+        ...Object.values(groups).map(group => GroupUtils.getGroupAccount(group, accountEmails)),
+        ...Object.values(accountEmails),
+        ...tabAccounts
+      ]);
+      this.account = tabAccounts[0] || this.accounts[0];
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  }
+
+  /**
+   * Remove duplicate accounts and order them as signed in to this browser
+   * Accounts not signed in here follow, by email
+   * @param {Array<string>} accounts - Account IDs
+   * @returns {Array<string>} Sorted unique account IDs
+   */
+  sortAccounts(accounts) {
+    const rank = (account) => {
+      const accountKey = GroupUtils.getAccountIndexKey(account, this.accountEmails);
+      return accountKey ? Number(accountKey.slice(1)) : Number.MAX_SAFE_INTEGER;
+    };
+    return [...new Set(accounts)].sort((a, b) => (rank(a) - rank(b)) || a.localeCompare(b));
+  }
+
+  /**
+   * Render the account switcher and the copy target selector
+   */
+  renderAccountBar() {
+    const createOption = (account, selected) => `
+      <option value="${this.escapeHtml(account)}" ${selected ? 'selected' : ''}>${this.escapeHtml(GroupUtils.getAccountLabel(account, this.accountEmails))}</option>
+    `;
+    const otherAccounts = this.accounts.filter(account => account !== this.account);
+
+    this.elements.accountSelect.innerHTML = this.accounts
+      .map(account => createOption(account, account === this.account))
+      .join('');
+    this.elements.copyTargetAccount.innerHTML = otherAccounts
+      .map(account => createOption(account, false))
+      .join('');
+
+    const canCopy = otherAccounts.length > 0 && Object.keys(this.groups).length > 0;
+    this.elements.copyTargetAccount.disabled = !canCopy;
+    this.elements.copyGroupsBtn.disabled = !canCopy;
+  }
+
+  /**
+   * Show the groups of another account and load its calendars
+   * @param {string} account - Account ID
+   */
+  async handleAccountChange(account) {
+    this.account = account;
+    this.setGroups(this.getAllGroups());
+    this.availableCalendars = [];
+    this.renderAccountBar();
+    this.renderGroups();
+    await this.loadAvailableCalendars();
+  }
+
+  /**
+   * Copy every group of the selected account to another account
+   * Subgroup links are kept between the copies; calendars only match where they are shared with both accounts
+   */
+  async handleCopyGroups() {
+    const targetAccount = this.elements.copyTargetAccount.value;
+    const groupIds = GroupUtils.getSortedGroupIds(this.groups);
+    if (!targetAccount || groupIds.length === 0) return;
+
+    const targetLabel = GroupUtils.getAccountLabel(targetAccount, this.accountEmails);
+    const confirmed = confirm(`${groupIds.length}個のグループを${targetLabel}にコピーしますか？`);
+    if (!confirmed) return;
+
+    try {
+      const targetGroups = GroupUtils.filterGroupsByAccount(this.otherAccountGroups, targetAccount, this.accountEmails);
+      const targetNames = Object.values(targetGroups).map(group => group.name.toLowerCase());
+      const targetOrders = Object.values(targetGroups)
+        .map(group => group.order)
+        .filter(order => typeof order === 'number');
+      let nextOrder = targetOrders.length > 0 ? Math.max(...targetOrders) + 1 : Object.keys(targetGroups).length;
+
+      const copyIds = Object.fromEntries(groupIds.map(groupId => [groupId, this.generateGroupId()]));
+      const now = Date.now();
+
+      groupIds.forEach(groupId => {
+        const group = structuredClone(this.groups[groupId]);
+        this.otherAccountGroups[copyIds[groupId]] = {
+          ...group,
+          name: targetNames.includes(group.name.toLowerCase()) ? `${group.name}（コピー）` : group.name,
+          account: targetAccount,
+          children: (group.children || []).filter(childId => copyIds[childId]).map(childId => copyIds[childId]),
+          order: nextOrder++,
+          createdAt: now,
+          updatedAt: now
+        };
+      });
+
+      await StorageUtils.set({ groups: this.getAllGroups() });
+      this.showStatusMessage('success', `${groupIds.length}個のグループを${targetLabel}にコピーしました`);
+    } catch (error) {
+      console.error('Error copying groups:', error);
+      this.showStatusMessage('error', 'グループのコピーに失敗しました');
+    }
+  }
+
+  /**
+   * Load shortcut slot assignments and the keys bound to each command
+   */
+  async loadShortcutSettings() {
+    try {
+      const { shortcutSlots = [] } = await StorageUtils.get(['shortcutSlots']);
+      this.shortcutSlots = shortcutSlots;
+
+      const commands = await chrome.commands.getAll();
+      this.commandShortcuts = {};
+      commands.forEach(command => {
+        this.commandShortcuts[command.name] = command.shortcut;
+      });
+    } catch (error) {
+      console.error('Error loading shortcut settings:', error);
+    }
+  }
+
+  /**
+   * Load group schedules
+   */
+  async loadSchedules() {
+    try {
+      const { schedules = [] } = await StorageUtils.get(['schedules']);
+      this.schedules = schedules;
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+    }
+  }
+
+  /**
+   * Load behavior settings
+   */
+  async loadSettings() {
+    try {
+      const { settings = {} } = await StorageUtils.get(['settings']);
+      this.settings = settings;
+      this.elements.syncAcrossTabs.checked = Boolean(settings.syncAcrossTabs);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+
+  /**
+   * Save a behavior setting
+   * @param {string} key - Setting name
+   * @param {*} value - Setting value
+   */
+  async handleSettingChange(key, value) {
+    try {
+      this.settings = { ...this.settings, [key]: value };
+      await StorageUtils.set({ settings: this.settings });
+    } catch (error) {
+      console.error('Error saving setting:', error);
+    }
+  }
+
   /**
    * Load available calendars from Google Calendar
    */
@@ -303,13 +702,13 @@ class OptionsManager {
       // Show loading state
       this.showLoadingState(forceRefresh);
       
-      // Find Google Calendar tab
-      const calendarTab = await TabUtils.findGoogleCalendarTab();
+      // Find a Google Calendar tab of the selected account
+      const calendarTab = await TabUtils.findGoogleCalendarTab(this.account, this.accountEmails);
       
       if (!calendarTab) {
-        console.log('No Google Calendar tab found');
+        console.log('No Google Calendar tab found for', this.account);
         this.hideLoadingState();
-        this.showNoCalendarsState('Google Calendarのタブが見つかりません');
+        this.showNoCalendarsState(`${GroupUtils.getAccountLabel(this.account, this.accountEmails)}のGoogle Calendarのタブが見つかりません`);
         this.updateLoadingMessage('Google Calendarを開いてください');
         return;
       }
@@ -343,6 +742,9 @@ class OptionsManager {
       // Hide loading and show results
       this.hideLoadingState();
       this.renderCalendarsList();
+
+      // Re-render group cards so orphaned calendars can be detected
+      this.renderGroups();
       
       // Show success message
       this.showStatusMessage('success', `${this.availableCalendars.length}個のカレンダーを読み込みました`);
@@ -369,7 +771,11 @@ class OptionsManager {
    * Render groups list
    */
   renderGroups() {
-    const groupIds = Object.keys(this.groups);
+    const groupIds = GroupUtils.getSortedGroupIds(this.groups);
+    this.renderAccountBar();
+    this.renderShortcutSlots();
+    this.renderSchedules();
+    this.renderDefaultGroupSetting();
     
     if (groupIds.length === 0) {
       this.elements.groupsList.style.display = 'none';
@@ -391,6 +797,446 @@ class OptionsManager {
     });
   }
 
+  /**
+   * Get the order value for a new group (after all existing groups)
+   * @returns {number} Order value
+   */
+  getNextGroupOrder() {
+    const orders = Object.values(this.groups)
+      .map(group => group.order)
+      .filter(order => typeof order === 'number');
+    return orders.length > 0 ? Math.max(...orders) + 1 : Object.keys(this.groups).length;
+  }
+
+  /**
+   * Get a group's color, falling back to the default for invalid or missing values
+   * @param {Object} group - Group data
+   * @returns {string} Hex color
+   */
+  getGroupColor(group) {
+    return /^#[0-9a-f]{6}$/i.test(group.color || '') ? group.color : DEFAULT_GROUP_COLOR;
+  }
+
+  /**
+   * Get HTML for a group's color chip with its icon
+   * @param {Object} group - Group data
+   * @returns {string} Chip HTML
+   */
+  createGroupChipHtml(group) {
+    return `<span class="group-chip" style="background-color: ${this.getGroupColor(group)}">${this.escapeHtml(group.icon || '')}</span>`;
+  }
+
+  /**
+   * Get the first palette color not used by another group
+   * @returns {string} Hex color
+   */
+  getUnusedGroupColor() {
+    const usedColors = Object.values(this.groups).map(group => group.color);
+    const unused = GROUP_COLORS.find(color => !usedColors.includes(color.value));
+    return unused ? unused.value : GROUP_COLORS[Object.keys(this.groups).length % GROUP_COLORS.length].value;
+  }
+
+  /**
+   * Get the first user-perceived character, so a pasted string keeps a single emoji
+   * @param {string} text - Text
+   * @returns {string} First grapheme or empty string
+   */
+  getFirstGrapheme(text) {
+    if (!text) return '';
+    const [first] = new Intl.Segmenter().segment(text);
+    return first ? first.segment : '';
+  }
+
+  /**
+   * Render the color swatches and icon presets in the group modal
+   */
+  setupAppearancePickers() {
+    this.elements.groupColorOptions.innerHTML = GROUP_COLORS.map(color => `
+      <button type="button" class="color-swatch" data-color="${color.value}"
+              style="background-color: ${color.value}" title="${color.name}" aria-label="${color.name}"></button>
+    `).join('') + `
+      <label class="color-custom" title="その他の色">
+        <input type="color" id="groupCustomColor" aria-label="その他の色">
+      </label>
+    `;
+
+    this.elements.groupIconOptions.innerHTML = GROUP_ICONS.map(icon => `
+      <button type="button" class="icon-option" data-icon="${icon}">${icon}</button>
+    `).join('') + '<button type="button" class="icon-option icon-option-none" data-icon="">なし</button>';
+
+    this.elements.groupColorOptions.addEventListener('click', (e) => {
+      const swatch = e.target.closest('.color-swatch');
+      if (swatch) {
+        this.setAppearance(swatch.dataset.color, this.elements.groupIcon.value);
+      }
+    });
+
+    this.elements.groupColorOptions.querySelector('#groupCustomColor').addEventListener('input', (e) => {
+      this.setAppearance(e.target.value, this.elements.groupIcon.value);
+    });
+
+    this.elements.groupIconOptions.addEventListener('click', (e) => {
+      const option = e.target.closest('.icon-option');
+      if (option) {
+        this.setAppearance(this.selectedColor, option.dataset.icon);
+      }
+    });
+
+    this.elements.groupIcon.addEventListener('input', () => {
+      this.setAppearance(this.selectedColor, this.elements.groupIcon.value);
+    });
+  }
+
+  /**
+   * Set the color and icon selected in the group modal
+   * @param {string} color - Hex color
+   * @param {string} icon - Emoji icon (may be empty)
+   */
+  setAppearance(color, icon) {
+    this.selectedColor = color;
+    if (this.elements.groupIcon.value !== icon) {
+      this.elements.groupIcon.value = icon;
+    }
+
+    this.elements.groupColorOptions.querySelectorAll('.color-swatch').forEach(swatch => {
+      swatch.classList.toggle('selected', swatch.dataset.color === color);
+    });
+    this.elements.groupColorOptions.querySelector('#groupCustomColor').value = color;
+
+    this.elements.groupAppearancePreview.style.backgroundColor = color;
+    this.elements.groupAppearancePreview.textContent = this.getFirstGrapheme(icon.trim());
+  }
+
+  /**
+   * Set up drag and drop reordering on the groups list
+   * Cards are only draggable from their handle so text and controls stay usable
+   */
+  setupGroupDragAndDrop() {
+    const list = this.elements.groupsList;
+
+    list.addEventListener('mousedown', (e) => {
+      const handle = e.target.closest('.drag-handle');
+      if (handle) {
+        handle.closest('.group-card').draggable = true;
+      }
+    });
+
+    list.addEventListener('mouseup', (e) => {
+      const card = e.target.closest('.group-card');
+      if (card && !this.draggedGroupId) {
+        card.draggable = false;
+      }
+    });
+
+    list.addEventListener('dragstart', (e) => {
+      const card = e.target.closest('.group-card');
+      if (!card) return;
+
+      this.draggedGroupId = card.dataset.groupId;
+      card.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', card.dataset.groupId);
+    });
+
+    list.addEventListener('dragover', (e) => {
+      if (!this.draggedGroupId) return;
+      e.preventDefault();
+
+      const draggedCard = list.querySelector('.group-card.dragging');
+      const targetCard = e.target.closest('.group-card');
+      if (!draggedCard || !targetCard || targetCard === draggedCard) return;
+
+      // Cards flow left to right in a grid, or top to bottom on narrow screens
+      const rect = targetCard.getBoundingClientRect();
+      const isGrid = getComputedStyle(list).gridTemplateColumns.split(' ').length > 1;
+      const before = isGrid ?
+        e.clientX < rect.left + rect.width / 2 :
+        e.clientY < rect.top + rect.height / 2;
+
+      list.insertBefore(draggedCard, before ? targetCard : targetCard.nextSibling);
+    });
+
+    list.addEventListener('drop', (e) => {
+      e.preventDefault();
+    });
+
+    list.addEventListener('dragend', (e) => {
+      const card = e.target.closest('.group-card');
+      if (card) {
+        card.classList.remove('dragging');
+        card.draggable = false;
+      }
+      if (!this.draggedGroupId) return;
+
+      this.draggedGroupId = null;
+      const groupIds = Array.from(list.querySelectorAll('.group-card')).map(item => item.dataset.groupId);
+      this.handleReorderGroups(groupIds);
+    });
+  }
+
+  /**
+   * Save a new group order
+   * @param {Array<string>} groupIds - Group IDs in the new order
+   */
+  async handleReorderGroups(groupIds) {
+    const currentIds = GroupUtils.getSortedGroupIds(this.groups);
+    if (groupIds.join('\n') === currentIds.join('\n')) return;
+
+    try {
+      groupIds.forEach((groupId, index) => {
+        if (this.groups[groupId]) {
+          this.groups[groupId].order = index;
+        }
+      });
+
+      await StorageUtils.set({ groups: this.getAllGroups() });
+      this.renderGroups();
+    } catch (error) {
+      console.error('Error reordering groups:', error);
+      this.showStatusMessage('error', 'グループの並べ替えに失敗しました');
+    }
+  }
+
+  /**
+   * Render shortcut slots with a group selector for each
+   */
+  renderShortcutSlots() {
+    const groupIds = GroupUtils.getSortedGroupIds(this.groups);
+    const formatKey = (commandName) => this.commandShortcuts[commandName] ?
+      `<kbd class="shortcut-key">${this.escapeHtml(this.commandShortcuts[commandName])}</kbd>` :
+      '<span class="shortcut-key-unset">未設定</span>';
+
+    const slotRows = Array.from({ length: SHORTCUT_SLOT_COUNT }, (_, index) => {
+      const slot = index + 1;
+      const assigned = this.shortcutSlots[index] || '';
+      const positionalGroup = this.groups[groupIds[index]];
+      const autoLabel = positionalGroup ? `自動（${positionalGroup.name}）` : '自動（なし）';
+      const options = groupIds.map(groupId => `
+        <option value="${this.escapeHtml(groupId)}" ${groupId === assigned ? 'selected' : ''}>${this.escapeHtml(`${this.groups[groupId].icon || ''} ${this.groups[groupId].name}`.trim())}</option>
+      `).join('');
+      const missingOption = assigned && !this.groups[assigned] ?
+        `<option value="${this.escapeHtml(assigned)}" selected>${this.escapeHtml(this.getMissingGroupLabel(assigned))}</option>` : '';
+
+      return `
+        <div class="shortcut-slot">
+          <span class="shortcut-slot-label">グループ ${slot}</span>
+          ${formatKey(`activate-group-${slot}`)}
+          <select class="shortcut-slot-select" data-slot="${slot}">
+            <option value="">${this.escapeHtml(autoLabel)}</option>
+            ${missingOption}
+            ${options}
+          </select>
+        </div>
+      `;
+    }).join('');
+
+    const commandRows = [
+      ['next-group', '次のグループ'],
+      ['previous-group', '前のグループ'],
+      ['show-all', 'すべて表示']
+    ].map(([commandName, label]) => `
+      <div class="shortcut-slot">
+        <span class="shortcut-slot-label">${label}</span>
+        ${formatKey(commandName)}
+      </div>
+    `).join('');
+
+    this.elements.shortcutSlotsList.innerHTML = slotRows + commandRows;
+
+    this.elements.shortcutSlotsList.querySelectorAll('.shortcut-slot-select').forEach(select => {
+      select.addEventListener('change', () => {
+        this.handleShortcutSlotChange(Number(select.dataset.slot), select.value);
+      });
+    });
+  }
+
+  /**
+   * Assign a group to a shortcut slot
+   * @param {number} slot - Slot number (1-based)
+   * @param {string} groupId - Group ID, or empty string for the positional default
+   */
+  async handleShortcutSlotChange(slot, groupId) {
+    try {
+      const shortcutSlots = Array.from({ length: SHORTCUT_SLOT_COUNT }, (_, index) => this.shortcutSlots[index] || null);
+      shortcutSlots[slot - 1] = groupId || null;
+      this.shortcutSlots = shortcutSlots;
+
+      await StorageUtils.set({ shortcutSlots });
+      this.renderShortcutSlots();
+    } catch (error) {
+      console.error('Error saving shortcut slot:', error);
+    }
+  }
+
+  /**
+   * Render the schedule rows and the fallback group selector
+   */
+  renderSchedules() {
+    const groupIds = GroupUtils.getSortedGroupIds(this.groups);
+
+    this.elements.schedulesList.innerHTML = this.schedules
+      .filter(schedule => !this.isOtherAccountSchedule(schedule))
+      .map(schedule => this.createScheduleRowHtml(schedule, groupIds))
+      .join('');
+
+    const fallbackGroupId =
+      GroupUtils.getAccountSetting(this.settings.scheduleFallbackGroups, this.account, this.accountEmails) || '';
+    this.elements.scheduleFallbackGroup.innerHTML = `
+      <option value="">切り替えない</option>
+      ${this.createGroupOptionsHtml(groupIds, fallbackGroupId)}
+    `;
+
+    this.elements.addScheduleBtn.disabled = groupIds.length === 0;
+    this.showScheduleErrors();
+  }
+
+  /**
+   * Create the markup of one schedule row
+   * @param {Object} schedule - Schedule with groupId, days, start and end
+   * @param {Array<string>} groupIds - Group IDs in display order
+   * @returns {string} Row HTML
+   */
+  createScheduleRowHtml(schedule, groupIds) {
+    const days = SCHEDULE_DAYS.map(day => `
+      <label class="schedule-day">
+        <input type="checkbox" value="${day.value}" ${schedule.days.includes(day.value) ? 'checked' : ''}>
+        ${day.label}
+      </label>
+    `).join('');
+
+    return `
+      <div class="schedule-row">
+        <select class="schedule-group-select">
+          ${this.createGroupOptionsHtml(groupIds, schedule.groupId)}
+        </select>
+        <div class="schedule-days">${days}</div>
+        <div class="schedule-times">
+          <input type="time" class="schedule-start" value="${this.escapeHtml(schedule.start)}">
+          〜
+          <input type="time" class="schedule-end" value="${this.escapeHtml(schedule.end)}">
+        </div>
+        <button type="button" class="schedule-remove-btn" title="スケジュールを削除">&times;</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Create option elements for a group selector
+   * @param {Array<string>} groupIds - Group IDs in display order
+   * @param {string} selectedId - Selected group ID
+   * @returns {string} Options HTML, with a placeholder if the selected group was deleted
+   */
+  createGroupOptionsHtml(groupIds, selectedId) {
+    const missingOption = selectedId && !this.groups[selectedId] ?
+      `<option value="${this.escapeHtml(selectedId)}" selected>${this.escapeHtml(this.getMissingGroupLabel(selectedId))}</option>` : '';
+
+    return missingOption + groupIds.map(groupId => `
+      <option value="${this.escapeHtml(groupId)}" ${groupId === selectedId ? 'selected' : ''}>${this.escapeHtml(`${this.groups[groupId].icon || ''} ${this.groups[groupId].name}`.trim())}</option>
+    `).join('');
+  }
+
+  /**
+   * Render the selector of the group applied when Google Calendar opens, for the selected account
+   */
+  renderDefaultGroupSetting() {
+    const defaultGroupId =
+      GroupUtils.getAccountSetting(this.settings.defaultGroups, this.account, this.accountEmails) || '';
+
+    this.elements.defaultGroupAccount.textContent = GroupUtils.getAccountLabel(this.account, this.accountEmails);
+    this.elements.defaultGroupSelect.innerHTML = `
+      <option value="">なし</option>
+      ${this.createGroupOptionsHtml(GroupUtils.getSortedGroupIds(this.groups), defaultGroupId)}
+    `;
+  }
+
+  /**
+   * Label a selected group that is not among the selected account's groups
+   * @param {string} groupId - Group ID
+   * @returns {string} Option label
+   */
+  getMissingGroupLabel(groupId) {
+    const group = this.otherAccountGroups[groupId];
+    if (!group) return '削除されたグループ';
+    return `${group.name}（${GroupUtils.getAccountLabel(GroupUtils.getGroupAccount(group, this.accountEmails), this.accountEmails)}）`;
+  }
+
+  /**
+   * Check whether a schedule belongs to another account than the selected one
+   * @param {Object} schedule - Schedule
+   * @returns {boolean} True if the schedule's group is another account's
+   */
+  isOtherAccountSchedule(schedule) {
+    return Boolean(this.otherAccountGroups[schedule.groupId]);
+  }
+
+  /**
+   * Read the schedules from the rows
+   * @returns {Array<Object>} Schedules in display order
+   */
+  getSchedulesFromRows() {
+    return Array.from(this.elements.schedulesList.querySelectorAll('.schedule-row')).map(row => ({
+      groupId: row.querySelector('.schedule-group-select').value,
+      days: Array.from(row.querySelectorAll('.schedule-day input:checked')).map(input => Number(input.value)),
+      start: row.querySelector('.schedule-start').value,
+      end: row.querySelector('.schedule-end').value
+    }));
+  }
+
+  /**
+   * Add a weekday working-hours schedule for the first group
+   */
+  async handleAddSchedule() {
+    const [groupId] = GroupUtils.getSortedGroupIds(this.groups);
+    if (!groupId) return;
+
+    this.schedules = [...this.schedules, { groupId, days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }];
+    await this.saveSchedules();
+    this.renderSchedules();
+  }
+
+  /**
+   * Save the schedules after a row was edited or removed
+   * Only the selected account's schedules are shown, so the others are kept as they are
+   */
+  async handleSchedulesChange() {
+    this.schedules = [
+      ...this.schedules.filter(schedule => this.isOtherAccountSchedule(schedule)),
+      ...this.getSchedulesFromRows()
+    ];
+    await this.saveSchedules();
+    this.showScheduleErrors();
+  }
+
+  /**
+   * Save schedules to storage
+   */
+  async saveSchedules() {
+    try {
+      await StorageUtils.set({ schedules: this.schedules });
+    } catch (error) {
+      console.error('Error saving schedules:', error);
+      this.showStatusMessage('error', 'スケジュールの保存に失敗しました');
+    }
+  }
+
+  /**
+   * Point out schedules that cannot take effect
+   * Such schedules are kept so they can be fixed, and ignored until then
+   */
+  showScheduleErrors() {
+    const accountSchedules = this.schedules.filter(schedule => !this.isOtherAccountSchedule(schedule));
+    const problems = accountSchedules.map((schedule, index) => {
+      if (!this.groups[schedule.groupId]) return `${index + 1}行目: グループが削除されています`;
+      if (schedule.days.length === 0) return `${index + 1}行目: 曜日を選択してください`;
+      if (!schedule.start || !schedule.end) return `${index + 1}行目: 時刻を入力してください`;
+      if (schedule.start === schedule.end) return `${index + 1}行目: 開始と終了が同じ時刻です`;
+      return null;
+    }).filter(Boolean);
+
+    this.elements.schedulesError.textContent = problems.join(' / ');
+    this.elements.schedulesError.classList.toggle('show', problems.length > 0);
+  }
+
   /**
    * Create group card element
    * @param {string} groupId - Group ID
@@ -401,10 +1247,23 @@ class OptionsManager {
     const card = document.createElement('div');
     card.className = 'group-card';
     card.dataset.groupId = groupId;
-
-    const calendarCount = group.calendars ? group.calendars.length : 0;
-    const calendarsHtml = group.calendars ? group.calendars.map(calendarId => {
+    card.style.setProperty('--group-color', this.getGroupColor(group));
+
+    const ruleCalendars = GroupRules.getMatchingCalendarIds(group, this.availableCalendars)
+      .filter(calendarId => !(group.calendars || []).includes(calendarId));
+    const calendarCount = (group.calendars ? group.calendars.length : 0) + ruleCalendars.length;
+    const subgroupCount = (group.children || []).filter(childId => this.groups[childId]).length;
+    const subgroupText = subgroupCount > 0 ? `・${subgroupCount}個のサブグループ` : '';
+    const parentId = this.getParentId(groupId);
+    const parentHtml = parentId ?
+      `<div class="group-card-parent">「${this.escapeHtml(this.groups[parentId].name)}」のサブグループ</div>` : '';
+    const subgroupTreeHtml = this.createSubgroupTreeHtml(groupId);
+    const orphanedIds = this.getOrphanedCalendarIds(group);
+    const calendarsHtml = group.calendars ? group.calendars.map((calendarId, index) => {
       const calendar = this.availableCalendars.find(cal => cal.id === calendarId);
+      if (!calendar && orphanedIds.includes(calendarId)) {
+        return this.createOrphanedCalendarHtml(group, calendarId, index);
+      }
       const name = calendar ? calendar.name : calendarId;
       return `
         <div class="calendar-item">
@@ -414,11 +1273,40 @@ class OptionsManager {
       `;
     }).join('') : '';
 
+    const ruleCalendarsHtml = ruleCalendars.map(calendarId => {
+      const calendar = this.availableCalendars.find(cal => cal.id === calendarId);
+      return `
+        <div class="calendar-item rule-matched" title="ルールで自動追加">
+          <div class="calendar-dot"></div>
+          <span class="calendar-name">${this.escapeHtml(calendar.name)}</span>
+          <span class="rule-badge">自動</span>
+        </div>
+      `;
+    }).join('');
+
+    const viewHtml = group.view ? `
+      <div class="group-view">📅 ${this.escapeHtml(this.describeView(group.view))}</div>
+    ` : '';
+
+    const rulesHtml = (group.rules || []).length > 0 ? `
+      <div class="group-rules">⚙ ルール: ${this.escapeHtml(this.describeRules(group))}</div>
+    ` : '';
+
+    const orphanWarningHtml = orphanedIds.length > 0 ? `
+      <div class="orphan-warning">
+        <span>⚠ ${orphanedIds.length}個のカレンダーがGoogle Calendarで見つかりません</span>
+        <button class="orphan-remove-all-btn" data-action="remove-orphans">すべて削除</button>
+      </div>
+    ` : '';
+
     card.innerHTML = `
       <div class="group-card-header">
-        <div>
+        <span class="drag-handle" title="ドラッグして並べ替え">⋮⋮</span>
+        ${this.createGroupChipHtml(group)}
+        <div class="group-card-heading">
           <div class="group-card-title">${this.escapeHtml(group.name)}</div>
-          <div class="group-card-subtitle">${calendarCount}個のカレンダー</div>
+          <div class="group-card-subtitle">${calendarCount}個のカレンダー${subgroupText}</div>
+          ${parentHtml}
         </div>
         <div class="group-card-actions">
           <button class="action-btn edit-btn" title="編集" data-action="edit">
@@ -437,8 +1325,13 @@ class OptionsManager {
           </button>
         </div>
       </div>
+      ${orphanWarningHtml}
+      ${viewHtml}
+      ${rulesHtml}
+      ${subgroupTreeHtml}
       <div class="group-calendars">
         ${calendarsHtml}
+        ${ruleCalendarsHtml}
       </div>
     `;
 
@@ -446,6 +1339,30 @@ class OptionsManager {
     const editBtn = card.querySelector('[data-action="edit"]');
     const deleteBtn = card.querySelector('[data-action="delete"]');
 
+    card.querySelectorAll('[data-action="remap-orphan"]').forEach(button => {
+      button.addEventListener('click', () => {
+        const index = Number(button.dataset.orphanIndex);
+        const select = card.querySelector(`select[data-orphan-index="${index}"]`);
+        if (select && select.value) {
+          this.handleRemapOrphan(groupId, group.calendars[index], select.value);
+        }
+      });
+    });
+
+    card.querySelectorAll('[data-action="remove-orphan"]').forEach(button => {
+      button.addEventListener('click', () => {
+        const index = Number(button.dataset.orphanIndex);
+        this.handleRemoveOrphans(groupId, [group.calendars[index]]);
+      });
+    });
+
+    const removeAllBtn = card.querySelector('[data-action="remove-orphans"]');
+    if (removeAllBtn) {
+      removeAllBtn.addEventListener('click', () => {
+        this.handleRemoveOrphans(groupId, orphanedIds);
+      });
+    }
+
     editBtn.addEventListener('click', async () => {
       await this.showEditGroupModal(groupId);
     });
@@ -457,6 +1374,175 @@ class OptionsManager {
     return card;
   }
 
+  /**
+   * Get calendar IDs in a group that are not among the discovered calendars
+   * @param {Object} group - Group data
+   * @returns {Array<string>} Orphaned calendar IDs (empty until calendars are loaded)
+   */
+  getOrphanedCalendarIds(group) {
+    if (this.availableCalendars.length === 0 || !group.calendars) return [];
+
+    const availableIds = new Set(this.availableCalendars.map(calendar => calendar.id));
+    return group.calendars.filter(calendarId => !availableIds.has(calendarId));
+  }
+
+  /**
+   * Create HTML for an orphaned calendar with remap suggestions
+   * @param {Object} group - Group data
+   * @param {string} calendarId - Orphaned calendar ID
+   * @param {number} index - Index of the calendar in the group
+   * @returns {string} Orphaned calendar item HTML
+   */
+  createOrphanedCalendarHtml(group, calendarId, index) {
+    const fingerprint = (group.calendarFingerprints || {})[calendarId];
+    const label = fingerprint && fingerprint.name ? fingerprint.name : calendarId;
+    const suggestions = this.getOrphanSuggestions(group, calendarId);
+
+    const optionsHtml = suggestions.length > 0 ?
+      suggestions.map(calendar => `
+        <option value="${this.escapeHtml(calendar.id)}">${this.escapeHtml(calendar.name)}</option>
+      `).join('') :
+      '<option value="">候補なし</option>';
+
+    return `
+      <div class="calendar-item orphaned" title="${this.escapeHtml(calendarId)}">
+        <div class="calendar-dot"></div>
+        <span class="calendar-name">${this.escapeHtml(label)}</span>
+        <span class="orphan-badge">見つかりません</span>
+        <div class="orphan-actions">
+          <select class="orphan-select" data-orphan-index="${index}" ${suggestions.length === 0 ? 'disabled' : ''}>
+            ${optionsHtml}
+          </select>
+          <button class="orphan-btn" data-action="remap-orphan" data-orphan-index="${index}" ${suggestions.length === 0 ? 'disabled' : ''}>置換</button>
+          <button class="orphan-btn orphan-remove-btn" data-action="remove-orphan" data-orphan-index="${index}">削除</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Suggest discovered calendars that likely replace an orphaned one
+   * Ranks by name similarity against the stored fingerprint name or the raw ID
+   * @param {Object} group - Group data
+   * @param {string} calendarId - Orphaned calendar ID
+   * @returns {Array<Object>} Up to three suggested calendars, best first
+   */
+  getOrphanSuggestions(group, calendarId) {
+    const fingerprint = (group.calendarFingerprints || {})[calendarId];
+    const reference = fingerprint && fingerprint.name ? fingerprint.name : calendarId;
+    const minSimilarity = 0.3;
+
+    return this.availableCalendars
+      .filter(calendar => !group.calendars.includes(calendar.id))
+      .map(calendar => ({
+        calendar,
+        score: Math.max(
+          this.getNameSimilarity(reference, calendar.name),
+          this.getNameSimilarity(calendarId, calendar.id)
+        )
+      }))
+      .filter(candidate => candidate.score >= minSimilarity)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3)
+      .map(candidate => candidate.calendar);
+  }
+
+  /**
+   * Compute name similarity using the Dice coefficient of character bigrams
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {number} Similarity between 0 and 1
+   */
+  getNameSimilarity(a, b) {
+    const normalize = (text) => (text || '').toLowerCase().replace(/[\s_\-]+/g, '');
+    const first = normalize(a);
+    const second = normalize(b);
+
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+    if (first.length < 2 || second.length < 2) return 0;
+
+    const bigrams = (text) => {
+      const result = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.substr(i, 2);
+        result.set(bigram, (result.get(bigram) || 0) + 1);
+      }
+      return result;
+    };
+
+    const firstBigrams = bigrams(first);
+    const secondBigrams = bigrams(second);
+    let overlap = 0;
+
+    firstBigrams.forEach((count, bigram) => {
+      overlap += Math.min(count, secondBigrams.get(bigram) || 0);
+    });
+
+    return (2 * overlap) / (first.length - 1 + second.length - 1);
+  }
+
+  /**
+   * Replace an orphaned calendar in a group with a discovered one
+   * @param {string} groupId - Group ID
+   * @param {string} oldId - Orphaned calendar ID
+   * @param {string} newId - Replacement calendar ID
+   */
+  async handleRemapOrphan(groupId, oldId, newId) {
+    const group = this.groups[groupId];
+    const calendar = this.availableCalendars.find(cal => cal.id === newId);
+    if (!group || !calendar) return;
+
+    try {
+      group.calendars = group.calendars.map(calendarId => calendarId === oldId ? newId : calendarId);
+
+      const fingerprints = { ...(group.calendarFingerprints || {}) };
+      delete fingerprints[oldId];
+      fingerprints[newId] = {
+        name: calendar.name,
+        color: calendar.color || '',
+        section: calendar.section || ''
+      };
+      group.calendarFingerprints = fingerprints;
+      group.updatedAt = Date.now();
+
+      await StorageUtils.set({ groups: this.getAllGroups() });
+      this.renderGroups();
+
+      console.log(`Remapped calendar in group ${groupId}: ${oldId} -> ${newId}`);
+    } catch (error) {
+      console.error('Error remapping calendar:', error);
+      this.showStatusMessage('error', 'カレンダーの置き換えに失敗しました');
+    }
+  }
+
+  /**
+   * Remove orphaned calendars from a group
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} calendarIds - Orphaned calendar IDs to remove
+   */
+  async handleRemoveOrphans(groupId, calendarIds) {
+    const group = this.groups[groupId];
+    if (!group) return;
+
+    try {
+      group.calendars = group.calendars.filter(calendarId => !calendarIds.includes(calendarId));
+
+      const fingerprints = { ...(group.calendarFingerprints || {}) };
+      calendarIds.forEach(calendarId => delete fingerprints[calendarId]);
+      group.calendarFingerprints = fingerprints;
+      group.updatedAt = Date.now();
+
+      await StorageUtils.set({ groups: this.getAllGroups() });
+      this.renderGroups();
+
+      console.log(`Removed ${calendarIds.length} orphaned calendars from group ${groupId}`);
+    } catch (error) {
+      console.error('Error removing orphaned calendars:', error);
+      this.showStatusMessage('error', '見つからないカレンダーの削除に失敗しました');
+    }
+  }
+
   /**
    * Render calendars list in modal
    */
@@ -478,6 +1564,13 @@ class OptionsManager {
       const calendarElement = this.createCalendarCheckboxItem(calendar);
       this.elements.calendarsList.appendChild(calendarElement);
     });
+
+    // Color choices and the rule preview depend on the calendars
+    this.elements.rulesList.querySelectorAll('.rule-row').forEach(row => {
+      if (row.querySelector('.rule-type').value !== 'color') return;
+      row.replaceWith(this.createRuleRow({ type: 'color', value: row.querySelector('.rule-value').value }));
+    });
+    this.updateRulePreview();
   }
 
   /**
@@ -680,6 +1773,10 @@ class OptionsManager {
     this.currentEditingGroupId = null;
     this.elements.modalTitle.textContent = '新しいグループを追加';
     this.elements.groupName.value = '';
+    this.setAppearance(this.getUnusedGroupColor(), '');
+    this.setViewSettings(null);
+    this.renderRules([], 'all');
+    this.renderSubgroupsList([]);
     this.clearFormErrors();
     
     // Show modal immediately for better UX
@@ -717,6 +1814,10 @@ class OptionsManager {
     this.currentEditingGroupId = groupId;
     this.elements.modalTitle.textContent = 'グループを編集';
     this.elements.groupName.value = group.name;
+    this.setAppearance(this.getGroupColor(group), group.icon || '');
+    this.setViewSettings(group.view || null);
+    this.renderRules(group.rules || [], group.ruleMatch || 'all');
+    this.renderSubgroupsList(group.children || []);
     this.clearFormErrors();
     
     // Show modal immediately
@@ -824,15 +1925,25 @@ class OptionsManager {
   clearFormErrors() {
     this.elements.groupNameError.classList.remove('show');
     this.elements.calendarsError.classList.remove('show');
+    this.elements.rulesError.classList.remove('show');
+    this.elements.subgroupsError.classList.remove('show');
+    this.elements.viewError.classList.remove('show');
   }
 
   /**
    * Show form error
-   * @param {string} field - Field name (groupName, calendars)
+   * @param {string} field - Field name (groupName, view, calendars, rules, subgroups)
    * @param {string} message - Error message
    */
   showFormError(field, message) {
-    const errorElement = field === 'groupName' ? this.elements.groupNameError : this.elements.calendarsError;
+    const errorElements = {
+      groupName: this.elements.groupNameError,
+      view: this.elements.viewError,
+      calendars: this.elements.calendarsError,
+      rules: this.elements.rulesError,
+      subgroups: this.elements.subgroupsError
+    };
+    const errorElement = errorElements[field];
     errorElement.textContent = message;
     errorElement.classList.add('show');
   }
@@ -865,10 +1976,36 @@ class OptionsManager {
       }
     }
 
-    // Validate calendar selection
+    // A specific date needs a value
+    if (this.elements.groupViewType.value && this.elements.groupViewDateMode.value === 'absolute' &&
+        !this.elements.groupViewDate.value) {
+      this.showFormError('view', '日付を選択してください');
+      isValid = false;
+    }
+
+    // Validate calendar selection (a group may consist of rules or subgroups only)
     const selectedCalendars = this.getSelectedCalendarIds();
-    if (selectedCalendars.length === 0) {
-      this.showFormError('calendars', '少なくとも1つのカレンダーを選択してください');
+    const selectedSubgroups = this.getSelectedSubgroupIds();
+    const rules = this.getRules();
+    if (selectedCalendars.length === 0 && selectedSubgroups.length === 0 && rules.length === 0) {
+      this.showFormError('calendars', '少なくとも1つのカレンダー・ルール・サブグループを選択してください');
+      isValid = false;
+    }
+
+    // Name rules are regular expressions
+    const invalidRule = rules.find(rule => rule.type === 'name' && !this.isValidPattern(rule.value));
+    if (invalidRule) {
+      this.showFormError('rules', `正規表現が正しくありません: ${invalidRule.value}`);
+      isValid = false;
+    }
+
+    // A group cannot contain a group that already contains it
+    const groupId = this.currentEditingGroupId;
+    const cyclicId = groupId ? selectedSubgroups.find(childId =>
+      childId === groupId || this.getDescendantIds(childId).includes(groupId)
+    ) : null;
+    if (cyclicId) {
+      this.showFormError('subgroups', `「${this.groups[cyclicId].name}」はこのグループを含んでいるため、サブグループにできません`);
       isValid = false;
     }
 
@@ -890,22 +2027,39 @@ class OptionsManager {
     try {
       const groupName = this.elements.groupName.value.trim();
       const selectedCalendars = this.getSelectedCalendarIds();
+      const selectedSubgroups = this.getSelectedSubgroupIds();
 
+      const existingGroup = this.currentEditingGroupId ? this.groups[this.currentEditingGroupId] : null;
       const groupData = {
+        ...existingGroup,
         name: groupName,
         calendars: selectedCalendars,
-        createdAt: this.currentEditingGroupId ? this.groups[this.currentEditingGroupId].createdAt : Date.now(),
+        calendarFingerprints: this.getCalendarFingerprints(selectedCalendars),
+        view: this.getViewSettings(),
+        rules: this.getRules(),
+        ruleMatch: this.elements.ruleMatch.value,
+        children: selectedSubgroups,
+        color: this.selectedColor,
+        icon: this.getFirstGrapheme(this.elements.groupIcon.value.trim()),
+        account: existingGroup ? GroupUtils.getGroupAccount(existingGroup, this.accountEmails) : this.account,
+        order: existingGroup && typeof existingGroup.order === 'number' ? existingGroup.order : this.getNextGroupOrder(),
+        createdAt: existingGroup ? existingGroup.createdAt : Date.now(),
         updatedAt: Date.now()
       };
 
       // Generate ID if creating new group
       const groupId = this.currentEditingGroupId || this.generateGroupId();
 
-      // Update groups
+      // Update groups; a subgroup has one parent, so moving it here removes it from its previous parent
+      Object.keys(this.groups).forEach(otherId => {
+        const otherGroup = this.groups[otherId];
+        if (otherId === groupId || !otherGroup.children) return;
+        otherGroup.children = otherGroup.children.filter(childId => !selectedSubgroups.includes(childId));
+      });
       this.groups[groupId] = groupData;
 
       // Save to storage
-      await StorageUtils.set({ groups: this.groups });
+      await StorageUtils.set({ groups: this.getAllGroups() });
 
       // Update UI
       this.renderGroups();
@@ -927,6 +2081,433 @@ class OptionsManager {
     }
   }
 
+  /**
+   * Fill the view settings of the modal
+   * @param {Object|null} view - View setting with type and optional date, or null for none
+   */
+  setViewSettings(view) {
+    const date = view && view.date;
+    this.elements.groupViewType.value = view ? view.type : '';
+    this.elements.groupViewDateMode.value = date ? date.mode : '';
+    this.elements.groupViewOffset.value = date && date.mode === 'relative' ? date.offsetDays : 0;
+    this.elements.groupViewDate.value = date && date.mode === 'absolute' ? date.value : '';
+    this.updateViewControls();
+  }
+
+  /**
+   * Show the date fields that apply to the selected view and date mode
+   */
+  updateViewControls() {
+    const hasView = Boolean(this.elements.groupViewType.value);
+    const dateMode = this.elements.groupViewDateMode.value;
+
+    this.elements.groupViewDateMode.style.display = hasView ? '' : 'none';
+    this.elements.groupViewOffsetField.style.display = hasView && dateMode === 'relative' ? '' : 'none';
+    this.elements.groupViewDate.style.display = hasView && dateMode === 'absolute' ? '' : 'none';
+  }
+
+  /**
+   * Read the view settings from the modal
+   * @returns {Object|null} View setting or null if the group does not change the view
+   */
+  getViewSettings() {
+    const type = this.elements.groupViewType.value;
+    if (!type) return null;
+
+    const dateMode = this.elements.groupViewDateMode.value;
+    let date = null;
+    if (dateMode === 'relative') {
+      date = { mode: 'relative', offsetDays: parseInt(this.elements.groupViewOffset.value, 10) || 0 };
+    } else if (dateMode === 'absolute') {
+      date = { mode: 'absolute', value: this.elements.groupViewDate.value };
+    }
+
+    return { type, date };
+  }
+
+  /**
+   * Describe a group's view setting for its card
+   * @param {Object} view - View setting
+   * @returns {string} View summary
+   */
+  describeView(view) {
+    const type = VIEW_TYPES.find(viewType => viewType.value === view.type);
+    const label = `${type ? type.label : view.type}表示`;
+    const date = view.date;
+
+    if (!date) return label;
+    if (date.mode === 'absolute') return `${label}・${date.value.replace(/-/g, '/')}`;
+
+    const offset = Number(date.offsetDays) || 0;
+    if (offset === 0) return `${label}・今日`;
+    return `${label}・今日から${Math.abs(offset)}日${offset > 0 ? '後' : '前'}`;
+  }
+
+  /**
+   * Set up the rule editor: adding, removing and changing rules updates the preview
+   */
+  setupRuleEditor() {
+    this.elements.addRuleBtn.addEventListener('click', () => {
+      this.elements.rulesList.appendChild(this.createRuleRow({ type: 'name', value: '' }));
+      this.updateRulePreview();
+    });
+
+    this.elements.rulesList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.rule-remove-btn');
+      if (!removeBtn) return;
+      removeBtn.closest('.rule-row').remove();
+      this.updateRulePreview();
+    });
+
+    this.elements.rulesList.addEventListener('change', (e) => {
+      // Switching the rule type swaps the value control
+      if (e.target.classList.contains('rule-type')) {
+        const row = e.target.closest('.rule-row');
+        row.replaceWith(this.createRuleRow({ type: e.target.value, value: '' }));
+      }
+      this.updateRulePreview();
+    });
+
+    this.elements.rulesList.addEventListener('input', () => {
+      this.updateRulePreview();
+    });
+
+    this.elements.ruleMatch.addEventListener('change', () => {
+      this.updateRulePreview();
+    });
+  }
+
+  /**
+   * Render a group's rules in the modal
+   * @param {Array<Object>} rules - Rules to edit
+   * @param {string} ruleMatch - 'all' or 'any'
+   */
+  renderRules(rules, ruleMatch) {
+    this.elements.rulesList.innerHTML = '';
+    rules.forEach(rule => {
+      this.elements.rulesList.appendChild(this.createRuleRow(rule));
+    });
+    this.elements.ruleMatch.value = ruleMatch;
+    this.updateRulePreview();
+  }
+
+  /**
+   * Create an editable rule row
+   * @param {Object} rule - Rule with type and value
+   * @returns {HTMLElement} Rule row element
+   */
+  createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const typeOptions = RULE_TYPES.map(type =>
+      `<option value="${type.value}" ${type.value === rule.type ? 'selected' : ''}>${type.label}</option>`
+    ).join('');
+
+    row.innerHTML = `
+      <select class="rule-type">${typeOptions}</select>
+      ${this.createRuleValueHtml(rule)}
+      <button type="button" class="rule-remove-btn" title="ルールを削除">&times;</button>
+    `;
+
+    // Set typed values as a property so quotes in patterns survive
+    const valueInput = row.querySelector('input.rule-value');
+    if (valueInput) {
+      valueInput.value = rule.value || '';
+    }
+
+    return row;
+  }
+
+  /**
+   * Create the value control for a rule type
+   * Sections and colors are picked from lists; names and domains are typed
+   * @param {Object} rule - Rule with type and value
+   * @returns {string} HTML of the value control
+   */
+  createRuleValueHtml(rule) {
+    if (rule.type === 'section') {
+      const options = CALENDAR_SECTIONS.map(section =>
+        `<option value="${section.value}" ${section.value === rule.value ? 'selected' : ''}>${section.label}</option>`
+      ).join('');
+      return `<select class="rule-value">${options}</select>`;
+    }
+
+    if (rule.type === 'color') {
+      const colors = this.getCalendarColorOptions(rule.value);
+      if (colors.length === 0) {
+        return '<select class="rule-value" disabled><option value="">カレンダーを読み込むと選択できます</option></select>';
+      }
+      const options = colors.map(color =>
+        `<option value="${color.value}" style="color: ${color.value}" ${color.value === rule.value ? 'selected' : ''}>■ ${this.escapeHtml(color.label)}</option>`
+      ).join('');
+      return `<select class="rule-value">${options}</select>`;
+    }
+
+    const type = RULE_TYPES.find(ruleType => ruleType.value === rule.type) || RULE_TYPES[0];
+    return `<input type="text" class="rule-value" placeholder="${type.placeholder}" autocomplete="off">`;
+  }
+
+  /**
+   * Get the colors used by the available calendars, labeled with the calendars that use them
+   * @param {string} selectedColor - Color of the rule being edited, kept even if no calendar uses it
+   * @returns {Array<Object>} Colors with value and label
+   */
+  getCalendarColorOptions(selectedColor = '') {
+    const colors = new Map();
+    this.availableCalendars.forEach(calendar => {
+      const color = GroupRules.normalizeColor(calendar.color);
+      if (!color) return;
+      if (!colors.has(color)) colors.set(color, []);
+      colors.get(color).push(calendar.name);
+    });
+
+    const normalizedSelected = GroupRules.normalizeColor(selectedColor);
+    if (/^#[0-9a-f]{6}$/.test(normalizedSelected) && !colors.has(normalizedSelected)) {
+      colors.set(normalizedSelected, []);
+    }
+
+    return Array.from(colors, ([value, names]) => ({
+      value,
+      label: names.length > 0 ? `${value}（${names.slice(0, 2).join('、')}${names.length > 2 ? ' ほか' : ''}）` : value
+    }));
+  }
+
+  /**
+   * Read the rules from the modal, skipping rules without a value
+   * @returns {Array<Object>} Rules with type and value
+   */
+  getRules() {
+    return Array.from(this.elements.rulesList.querySelectorAll('.rule-row'))
+      .map(row => ({
+        type: row.querySelector('.rule-type').value,
+        value: row.querySelector('.rule-value').value.trim()
+      }))
+      .filter(rule => rule.value);
+  }
+
+  /**
+   * Check whether a name rule is a valid regular expression
+   * @param {string} pattern - Pattern to check
+   * @returns {boolean} True if the pattern compiles
+   */
+  isValidPattern(pattern) {
+    try {
+      new RegExp(pattern, 'i');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Show which available calendars the rules in the modal currently match
+   */
+  updateRulePreview() {
+    const rules = this.getRules();
+    const preview = this.elements.rulePreview;
+
+    if (rules.length === 0) {
+      preview.style.display = 'none';
+      return;
+    }
+
+    preview.style.display = 'block';
+    if (this.availableCalendars.length === 0) {
+      preview.textContent = 'カレンダー一覧を読み込むと、一致するカレンダーが表示されます';
+      return;
+    }
+
+    const group = { rules, ruleMatch: this.elements.ruleMatch.value };
+    const matches = this.availableCalendars.filter(calendar => GroupRules.matchesGroup(group, calendar));
+    preview.textContent = matches.length > 0 ?
+      `一致するカレンダー（${matches.length}個）: ${matches.map(calendar => calendar.name).join('、')}` :
+      '一致するカレンダーはありません';
+  }
+
+  /**
+   * Describe a group's rules for its card
+   * @param {Object} group - Group data
+   * @returns {string} Rule summary
+   */
+  describeRules(group) {
+    const describe = (rule) => {
+      switch (rule.type) {
+        case 'name':
+          return `名前が /${rule.value}/ に一致`;
+        case 'domain':
+          return `ドメインが ${rule.value.startsWith('@') ? rule.value : `@${rule.value}`}`;
+        case 'section': {
+          const section = CALENDAR_SECTIONS.find(item => item.value === rule.value);
+          return `「${section ? section.label : rule.value}」にある`;
+        }
+        case 'color':
+          return `色が ${rule.value}`;
+        default:
+          return rule.value;
+      }
+    };
+
+    return (group.rules || []).map(describe).join(group.ruleMatch === 'any' ? ' または ' : ' かつ ');
+  }
+
+  /**
+   * Render the subgroup choices for the group being edited
+   * The group itself and groups that contain it are disabled to prevent cycles
+   * @param {Array<string>} selectedIds - Subgroup IDs to check
+   */
+  renderSubgroupsList(selectedIds) {
+    const groupId = this.currentEditingGroupId;
+    const ancestorIds = groupId ? this.getAncestorIds(groupId) : [];
+    const candidateIds = GroupUtils.getSortedGroupIds(this.groups).filter(id => id !== groupId);
+
+    this.elements.subgroupsList.innerHTML = '';
+
+    if (candidateIds.length === 0) {
+      this.elements.subgroupsList.innerHTML = '<p class="no-subgroups">ほかのグループがありません</p>';
+      return;
+    }
+
+    candidateIds.forEach(candidateId => {
+      const candidate = this.groups[candidateId];
+      const parentId = this.getParentId(candidateId);
+      const isAncestor = ancestorIds.includes(candidateId);
+      let note = '';
+      if (isAncestor) {
+        note = '（このグループを含んでいます）';
+      } else if (parentId && parentId !== groupId) {
+        note = `（「${this.groups[parentId].name}」から移動）`;
+      }
+
+      const item = document.createElement('div');
+      item.className = 'calendar-checkbox-item';
+      const checkboxId = this.escapeHtml(`subgroup_${candidateId}`);
+      item.innerHTML = `
+        <input type="checkbox" id="${checkboxId}" value="${this.escapeHtml(candidateId)}" ${isAncestor ? 'disabled' : ''}>
+        <label for="${checkboxId}">
+          ${this.createGroupChipHtml(candidate)}
+          ${this.escapeHtml(candidate.name)}
+          <span class="subgroup-note">${this.escapeHtml(note)}</span>
+        </label>
+      `;
+      item.querySelector('input').checked = selectedIds.includes(candidateId);
+      this.elements.subgroupsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Get selected subgroup IDs
+   * @returns {Array<string>} Selected subgroup IDs
+   */
+  getSelectedSubgroupIds() {
+    const checkboxes = this.elements.subgroupsList.querySelectorAll('input[type="checkbox"]:checked');
+    return Array.from(checkboxes).map(checkbox => checkbox.value);
+  }
+
+  /**
+   * Get the group that contains a group as a subgroup
+   * @param {string} groupId - Group ID
+   * @returns {string|null} Parent group ID or null for a top-level group
+   */
+  getParentId(groupId) {
+    return Object.keys(this.groups).find(id => (this.groups[id].children || []).includes(groupId)) || null;
+  }
+
+  /**
+   * Get the groups that contain a group, nearest first
+   * @param {string} groupId - Group ID
+   * @returns {Array<string>} Ancestor group IDs
+   */
+  getAncestorIds(groupId) {
+    const ancestorIds = [];
+    let parentId = this.getParentId(groupId);
+    while (parentId && !ancestorIds.includes(parentId)) {
+      ancestorIds.push(parentId);
+      parentId = this.getParentId(parentId);
+    }
+    return ancestorIds;
+  }
+
+  /**
+   * Get all subgroups below a group
+   * @param {string} groupId - Group ID
+   * @param {Object} groups - Groups keyed by ID
+   * @returns {Array<string>} Descendant group IDs
+   */
+  getDescendantIds(groupId, groups = this.groups) {
+    const descendantIds = [];
+    const visit = (id) => {
+      ((groups[id] && groups[id].children) || []).forEach(childId => {
+        if (descendantIds.includes(childId)) return;
+        descendantIds.push(childId);
+        visit(childId);
+      });
+    };
+    visit(groupId);
+    return descendantIds;
+  }
+
+  /**
+   * Find a group that contains itself through its subgroups
+   * @param {Object} groups - Groups keyed by ID
+   * @returns {string|null} ID of a group in a cycle, or null if there is none
+   */
+  findGroupCycle(groups) {
+    return Object.keys(groups).find(groupId => this.getDescendantIds(groupId, groups).includes(groupId)) || null;
+  }
+
+  /**
+   * Build the nested list of a group's subgroups for its card
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} path - Groups above this one, to stop on cycles
+   * @returns {string} HTML of the subgroup tree
+   */
+  createSubgroupTreeHtml(groupId, path = []) {
+    const childIds = (this.groups[groupId].children || []).filter(childId =>
+      this.groups[childId] && !path.includes(childId)
+    );
+    if (childIds.length === 0) return '';
+
+    const itemsHtml = childIds.map(childId => `
+      <li>
+        <span class="subgroup-tree-item">
+          ${this.createGroupChipHtml(this.groups[childId])}
+          ${this.escapeHtml(this.groups[childId].name)}
+        </span>
+        ${this.createSubgroupTreeHtml(childId, [...path, groupId])}
+      </li>
+    `).join('');
+
+    return `<ul class="subgroup-tree">${itemsHtml}</ul>`;
+  }
+
+  /**
+   * Get fingerprints used to re-match calendars whose IDs change
+   * Keeps the stored fingerprint for calendars not currently discovered
+   * @param {Array<string>} calendarIds - Selected calendar IDs
+   * @returns {Object} Fingerprints keyed by calendar ID
+   */
+  getCalendarFingerprints(calendarIds) {
+    const editingGroup = this.groups[this.currentEditingGroupId];
+    const storedFingerprints = (editingGroup && editingGroup.calendarFingerprints) || {};
+    const fingerprints = {};
+
+    calendarIds.forEach(calendarId => {
+      const calendar = this.availableCalendars.find(cal => cal.id === calendarId);
+      if (calendar) {
+        fingerprints[calendarId] = {
+          name: calendar.name,
+          color: calendar.color || '',
+          section: calendar.section || ''
+        };
+      } else if (storedFingerprints[calendarId]) {
+        fingerprints[calendarId] = storedFingerprints[calendarId];
+      }
+    });
+
+    return fingerprints;
+  }
+
   /**
    * Handle delete group
    */
@@ -934,11 +2515,36 @@ class OptionsManager {
     if (!this.currentEditingGroupId) return;
 
     try {
-      // Remove group
+      // Remove group; its subgroups become top-level groups
       delete this.groups[this.currentEditingGroupId];
+      Object.values(this.groups).forEach(group => {
+        if (group.children) {
+          group.children = group.children.filter(childId => childId !== this.currentEditingGroupId);
+        }
+      });
+
+      // Unassign the group from shortcut slots and schedules
+      this.shortcutSlots = this.shortcutSlots.map(groupId =>
+        groupId === this.currentEditingGroupId ? null : groupId
+      );
+      this.schedules = this.schedules.filter(schedule => schedule.groupId !== this.currentEditingGroupId);
+      ['scheduleFallbackGroups', 'defaultGroups'].forEach(key => {
+        const valuesByAccount = this.settings[key] || {};
+        this.settings = {
+          ...this.settings,
+          [key]: Object.fromEntries(Object.entries(valuesByAccount).map(([account, groupId]) =>
+            [account, groupId === this.currentEditingGroupId ? null : groupId]
+          ))
+        };
+      });
 
       // Save to storage
-      await StorageUtils.set({ groups: this.groups });
+      await StorageUtils.set({
+        groups: this.getAllGroups(),
+        shortcutSlots: this.shortcutSlots,
+        schedules: this.schedules,
+        settings: this.settings
+      });
 
       // Update UI
       this.renderGroups();
@@ -964,7 +2570,7 @@ class OptionsManager {
    */
   handleExportSettings() {
     const settings = {
-      groups: this.groups,
+      groups: this.getAllGroups(),
       exportedAt: new Date().toISOString(),
       version: '1.0'
     };
@@ -1006,11 +2612,36 @@ class OptionsManager {
 
       if (!confirmed) return;
 
-      // Import groups
-      this.groups = { ...this.groups, ...settings.groups };
+      // Groups exported before accounts were tracked go to the selected account
+      const importedGroups = Object.fromEntries(Object.entries(settings.groups).map(([groupId, group]) =>
+        [groupId, { ...group, account: GroupUtils.isAccountId(group.account) ? group.account : this.account }]
+      ));
+
+      // Import groups: existing groups keep their position, new ones follow in their exported order
+      const allGroups = this.getAllGroups();
+      const existingIds = GroupUtils.getSortedGroupIds(allGroups);
+      const importedIds = GroupUtils.getSortedGroupIds(importedGroups);
+      const orderedIds = [...existingIds, ...importedIds.filter(groupId => !existingIds.includes(groupId))];
+
+      const mergedGroups = { ...allGroups, ...importedGroups };
+      const cyclicId = this.findGroupCycle(mergedGroups);
+      if (cyclicId) {
+        alert(`グループ「${mergedGroups[cyclicId].name}」が自分自身をサブグループに含んでいるため、インポートできません。`);
+        event.target.value = '';
+        return;
+      }
+
+      orderedIds.forEach((groupId, index) => {
+        mergedGroups[groupId].order = index;
+      });
+      this.setGroups(mergedGroups);
+      this.accounts = this.sortAccounts([
+        ...this.accounts,
+        ...Object.values(importedGroups).map(group => GroupUtils.getGroupAccount(group, this.accountEmails))
+      ]);
 
       // Save to storage
-      await StorageUtils.set({ groups: this.groups });
+      await StorageUtils.set({ groups: this.getAllGroups() });
 
       // Update UI
       this.renderGroups();
@@ -1027,14 +2658,14 @@ class OptionsManager {
   }
 
   /**
-   * Escape HTML characters
+   * Escape HTML characters, including quotes so the result is also safe in attribute values
    * @param {string} text - Text to escape
    * @returns {string} Escaped text
    */
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
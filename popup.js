@@ -44,25 +44,32 @@ const TabUtils = {
   },
 
   /**
-   * Check if current tab is Google Calendar
-   * @returns {Promise<boolean>} True if current tab is Google Calendar
+   * Check if a tab is Google Calendar
+   * @param {Object} tab - Tab to check
+   * @returns {boolean} True if the tab is Google Calendar
    */
-  async isGoogleCalendarTab() {
-    const tab = await this.getCurrentTab();
-    return tab && tab.url && tab.url.includes('calendar.google.com');
+  isGoogleCalendarTab(tab) {
+    return Boolean(tab && tab.url && tab.url.includes('calendar.google.com'));
   },
 
   /**
-   * Send message to content script
+   * Find all open Google Calendar tabs
+   * @returns {Promise<Array<Object>>} Google Calendar tabs in every window
+   */
+  async findGoogleCalendarTabs() {
+    const tabs = await chrome.tabs.query({});
+    return tabs.filter(tab => this.isGoogleCalendarTab(tab));
+  },
+
+  /**
+   * Send message to content script, injecting it first if the tab has none
+   * @param {number} tabId - Tab ID
    * @param {Object} message - Message to send
    * @returns {Promise<Object>} Response from content script
    */
-  async sendMessageToContent(message) {
-    const tab = await this.getCurrentTab();
-    if (!tab) throw new Error('No active tab');
-    
-    return new Promise((resolve, reject) => {
-      chrome.tabs.sendMessage(tab.id, message, (response) => {
+  async sendMessageToContent(tabId, message) {
+    const send = () => new Promise((resolve, reject) => {
+      chrome.tabs.sendMessage(tabId, message, (response) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
@@ -70,16 +77,46 @@ const TabUtils = {
         }
       });
     });
+
+    try {
+      return await send();
+    } catch (error) {
+      // Tabs opened before the extension was installed or reloaded have no content script
+      if (!error.message.includes('Could not establish connection')) throw error;
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: ['group-utils.js', 'content.js']
+      });
+      return send();
+    }
   }
 };
 
+/**
+ * Color used for groups created before colors existed
+ */
+const DEFAULT_GROUP_COLOR = '#039be5';
+
 /**
  * Main Popup Manager class
  */
 class PopupManager {
   constructor() {
     this.groups = {};
-    this.currentActiveGroup = null;
+    this.activeGroups = [];
+    this.groupModes = {};
+    this.isModified = false;
+    this.canUndo = false;
+    this.canRedo = false;
+    this.calendarVisibility = {};
+    this.calendarNames = {};
+    this.calendars = [];
+    this.searchQuery = '';
+    this.focusedGroupId = null;
+    this.collapsedGroups = new Set();
+    this.calendarTabs = [];
+    this.targetTabId = null;
+    this.accountEmails = {};
     this.elements = {};
     this.init();
   }
@@ -104,8 +141,16 @@ class PopupManager {
       settingsBtn: document.getElementById('settingsBtn'),
       retryBtn: document.getElementById('retryBtn'),
       showAllBtn: document.getElementById('showAllBtn'),
+      undoBtn: document.getElementById('undoBtn'),
+      redoBtn: document.getElementById('redoBtn'),
+      tabSection: document.getElementById('tabSection'),
+      tabSelect: document.getElementById('tabSelect'),
+      noCalendarTab: document.getElementById('noCalendarTab'),
+      openCalendarBtn: document.getElementById('openCalendarBtn'),
+      groupSearch: document.getElementById('groupSearch'),
       groupsList: document.getElementById('groupsList'),
       noGroups: document.getElementById('noGroups'),
+      noSearchResults: document.getElementById('noSearchResults'),
       createGroupBtn: document.getElementById('createGroupBtn'),
       groupCount: document.getElementById('groupCount'),
       statusMessage: document.getElementById('statusMessage')
@@ -131,16 +176,54 @@ class PopupManager {
       this.handleShowAll();
     });
 
+    // Undo/redo visibility changes
+    this.elements.undoBtn.addEventListener('click', () => {
+      this.handleHistoryStep('undo');
+    });
+
+    this.elements.redoBtn.addEventListener('click', () => {
+      this.handleHistoryStep('redo');
+    });
+
+    // Switch which Google Calendar tab the popup controls
+    this.elements.tabSelect.addEventListener('change', () => {
+      this.handleTargetTabChange(Number(this.elements.tabSelect.value));
+    });
+
+    // Open Google Calendar when no tab is open
+    this.elements.openCalendarBtn.addEventListener('click', () => {
+      this.openCalendarWithGroup(null);
+    });
+
     // Create group button
     this.elements.createGroupBtn.addEventListener('click', () => {
       chrome.runtime.openOptionsPage();
     });
 
+    // Filter groups as the user types
+    this.elements.groupSearch.addEventListener('input', () => {
+      this.searchQuery = this.elements.groupSearch.value;
+      this.focusedGroupId = null;
+      this.renderGroups();
+      this.moveFocus(1);
+    });
+
+    // Keyboard navigation: arrows select, Enter activates, Escape shows all
+    document.addEventListener('keydown', (e) => {
+      this.handleKeyDown(e);
+    });
+
     // Listen for storage changes
-    chrome.storage.onChanged.addListener((changes) => {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
       if (changes.groups) {
         this.loadGroups();
       }
+
+      // Result of syncing the controlled tab's groups to other tabs (see getSyncResultKey in background.js)
+      const syncResult = areaName === 'session' && changes[`syncResult_${this.targetTabId}`];
+      if (syncResult) {
+        this.showSyncFailures(syncResult.newValue);
+      }
     });
   }
 
@@ -151,15 +234,23 @@ class PopupManager {
     try {
       this.showLoading();
       
-      // Check if we're on Google Calendar
-      const isGoogleCalendar = await TabUtils.isGoogleCalendarTab();
-      if (!isGoogleCalendar) {
-        this.showError('Google Calendarを開いてください');
-        return;
-      }
-
-      // Load groups from storage
+      // Control the current tab if it is Google Calendar, otherwise another open Calendar tab
+      const currentTab = await TabUtils.getCurrentTab();
+      this.calendarTabs = await TabUtils.findGoogleCalendarTabs();
+      this.targetTabId = this.pickTargetTabId(currentTab);
+
+      // Load the collapsed state, account emails and the target account's groups
+      const { collapsedGroups = [], accountEmails = {} } =
+        await chrome.storage.local.get(['collapsedGroups', 'accountEmails']);
+      this.collapsedGroups = new Set(collapsedGroups);
+      this.accountEmails = accountEmails;
+      this.renderTabPicker(currentTab);
       await this.loadGroups();
+
+      // Reflect the group state currently applied on the page
+      if (this.targetTabId !== null) {
+        await this.loadActiveState();
+      }
       
       // Show main content
       this.showMainContent();
@@ -171,12 +262,110 @@ class PopupManager {
   }
 
   /**
-   * Load groups from storage
+   * Choose the Google Calendar tab to control
+   * Keeps the previous choice on retry, then prefers the current tab, then the most recently used one
+   * @param {Object} currentTab - Active tab of the current window
+   * @returns {number|null} Tab ID or null if no Google Calendar tab is open
+   */
+  pickTargetTabId(currentTab) {
+    const tabIds = this.calendarTabs.map(tab => tab.id);
+    if (tabIds.includes(this.targetTabId)) return this.targetTabId;
+    if (currentTab && tabIds.includes(currentTab.id)) return currentTab.id;
+    if (tabIds.length === 0) return null;
+
+    const [recentTab] = [...this.calendarTabs].sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return recentTab.id;
+  }
+
+  /**
+   * Show which Google Calendar tab is controlled, or offer to open one
+   * The picker is hidden when the only Calendar tab is the current one
+   * @param {Object} currentTab - Active tab of the current window
+   */
+  renderTabPicker(currentTab) {
+    const isCurrentTabOnly = this.calendarTabs.length === 1 &&
+      currentTab && this.calendarTabs[0].id === currentTab.id;
+
+    this.elements.noCalendarTab.style.display = this.calendarTabs.length === 0 ? 'flex' : 'none';
+    this.elements.tabSection.style.display = this.calendarTabs.length === 0 || isCurrentTabOnly ? 'none' : 'flex';
+
+    this.elements.tabSelect.innerHTML = '';
+    this.calendarTabs.forEach(tab => {
+      const option = document.createElement('option');
+      option.value = tab.id;
+      option.textContent = this.getTabLabel(tab, currentTab);
+      option.selected = tab.id === this.targetTabId;
+      this.elements.tabSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Get a label that tells Google Calendar tabs apart
+   * @param {Object} tab - Google Calendar tab
+   * @param {Object} currentTab - Active tab of the current window
+   * @returns {string} Tab label
+   */
+  getTabLabel(tab, currentTab) {
+    const account = GroupUtils.getAccountLabel(GroupUtils.getAccountKey(tab.url), this.accountEmails);
+    const current = currentTab && tab.id === currentTab.id ? '（このタブ）' : '';
+    return `${tab.title || 'Google Calendar'} - ${account}${current}`;
+  }
+
+  /**
+   * Switch the popup to another Google Calendar tab
+   * @param {number} tabId - Tab ID chosen in the picker
+   */
+  async handleTargetTabChange(tabId) {
+    this.targetTabId = tabId;
+    this.activeGroups = [];
+    this.groupModes = {};
+    this.isModified = false;
+    this.canUndo = false;
+    this.canRedo = false;
+    this.calendarVisibility = {};
+    this.calendars = [];
+    await this.loadGroups();
+    await this.loadActiveState();
+  }
+
+  /**
+   * Get the account of the controlled Google Calendar tab
+   * @returns {string} Account ID (the default account when no Calendar tab is open)
+   */
+  getTargetAccount() {
+    const tab = this.calendarTabs.find(calendarTab => calendarTab.id === this.targetTabId);
+    const accountKey = tab ? GroupUtils.getAccountKey(tab.url) : DEFAULT_ACCOUNT;
+    return GroupUtils.resolveAccount(accountKey, this.accountEmails);
+  }
+
+  /**
+   * Open a new Google Calendar tab, applying a group once it has loaded
+   * The background worker does the applying because the popup closes when the tab opens
+   * @param {string|null} groupId - Group to apply, or null to just open Google Calendar
+   * @param {string} mode - 'solo' to show only the group, 'hide' to hide only the group
+   */
+  async openCalendarWithGroup(groupId, mode = 'solo') {
+    this.showStatusMessage('Google Calendarを開いています...', 'info');
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'openCalendarWithGroup',
+      groupId: groupId,
+      mode: mode
+    });
+
+    if (!response || response.error) {
+      console.error('Error opening Google Calendar:', response && response.error);
+      this.showStatusMessage('Google Calendarを開けませんでした', 'error');
+    }
+  }
+
+  /**
+   * Load the groups of the controlled tab's account from storage
    */
   async loadGroups() {
     try {
       const { groups = {} } = await StorageUtils.get(['groups']);
-      this.groups = groups;
+      this.groups = GroupUtils.filterGroupsByAccount(groups, this.getTargetAccount(), this.accountEmails);
       this.renderGroups();
     } catch (error) {
       console.error('Error loading groups:', error);
@@ -184,16 +373,48 @@ class PopupManager {
     }
   }
 
+  /**
+   * Load active group state from the content script
+   */
+  async loadActiveState() {
+    try {
+      const response = await TabUtils.sendMessageToContent(this.targetTabId, {
+        action: 'getState'
+      });
+
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response');
+      }
+
+      this.activeGroups = response.activeGroups || [];
+      this.groupModes = response.groupModes || {};
+      this.isModified = response.modified;
+      this.canUndo = Boolean(response.canUndo);
+      this.canRedo = Boolean(response.canRedo);
+      this.calendarVisibility = {};
+      this.calendars = response.calendars || [];
+      this.calendars.forEach(calendar => {
+        this.calendarVisibility[calendar.id] = calendar.visible;
+        this.calendarNames[calendar.id] = calendar.name;
+      });
+
+      this.renderGroups();
+    } catch (error) {
+      console.warn('Error loading active state:', error);
+    }
+  }
+
   /**
    * Render groups in the UI
    */
   renderGroups() {
-    const groupIds = Object.keys(this.groups);
+    const groupIds = GroupUtils.getSortedGroupIds(this.groups);
     this.elements.groupCount.textContent = groupIds.length;
 
     if (groupIds.length === 0) {
       this.elements.groupsList.style.display = 'none';
       this.elements.noGroups.style.display = 'flex';
+      this.elements.noSearchResults.style.display = 'none';
       return;
     }
 
@@ -203,11 +424,219 @@ class PopupManager {
     // Clear existing groups
     this.elements.groupsList.innerHTML = '';
 
-    // Render each group
-    groupIds.forEach(groupId => {
-      const group = this.groups[groupId];
-      const groupElement = this.createGroupElement(groupId, group);
-      this.elements.groupsList.appendChild(groupElement);
+    const matchingGroupIds = groupIds.filter(groupId => this.matchesSearch(this.groups[groupId]));
+    if (this.searchQuery.trim()) {
+      this.elements.groupCount.textContent = `${matchingGroupIds.length}/${groupIds.length}`;
+    }
+    this.elements.noSearchResults.style.display = matchingGroupIds.length === 0 ? 'block' : 'none';
+
+    // Search results are a flat list; otherwise show the group tree
+    if (this.searchQuery.trim()) {
+      matchingGroupIds.forEach(groupId => {
+        const groupElement = this.createGroupElement(groupId, this.groups[groupId]);
+        this.elements.groupsList.appendChild(groupElement);
+      });
+    } else {
+      this.getRootGroupIds(groupIds).forEach(groupId => this.renderGroupTree(groupId, 0, []));
+    }
+
+    this.updateGroupStates();
+    this.updateFocusedGroup();
+  }
+
+  /**
+   * Render a group and, unless it is collapsed, its subgroups below it
+   * @param {string} groupId - Group ID
+   * @param {number} depth - Nesting depth (0 for top-level groups)
+   * @param {Array<string>} path - Groups above this one, to stop on cycles
+   */
+  renderGroupTree(groupId, depth, path) {
+    const childIds = this.getChildIds(groupId).filter(childId => !path.includes(childId));
+    const groupElement = this.createGroupElement(groupId, this.groups[groupId], depth, childIds.length > 0);
+    this.elements.groupsList.appendChild(groupElement);
+
+    if (this.collapsedGroups.has(groupId)) return;
+    childIds.forEach(childId => this.renderGroupTree(childId, depth + 1, [...path, groupId]));
+  }
+
+  /**
+   * Get the groups that are not a subgroup of another group
+   * @param {Array<string>} groupIds - Sorted group IDs
+   * @returns {Array<string>} Top-level group IDs
+   */
+  getRootGroupIds(groupIds) {
+    const childIds = new Set(groupIds.flatMap(groupId => this.getChildIds(groupId)));
+    return groupIds.filter(groupId => !childIds.has(groupId));
+  }
+
+  /**
+   * Get a group's existing subgroups in the user-defined order
+   * @param {string} groupId - Group ID
+   * @returns {Array<string>} Subgroup IDs
+   */
+  getChildIds(groupId) {
+    const childIds = (this.groups[groupId].children || []).filter(childId => this.groups[childId]);
+    const children = Object.fromEntries(childIds.map(childId => [childId, this.groups[childId]]));
+    return GroupUtils.getSortedGroupIds(children);
+  }
+
+  /**
+   * Get the calendars of a group including its rule matches and subgroups
+   * @param {string} groupId - Group ID
+   * @returns {Array<string>} Unique calendar IDs
+   */
+  getGroupCalendarIds(groupId) {
+    const calendarIds = new Set();
+    const visited = new Set();
+
+    const collect = (id) => {
+      const group = this.groups[id];
+      if (!group || visited.has(id)) return;
+      visited.add(id);
+
+      (group.calendars || []).forEach(calendarId => calendarIds.add(calendarId));
+      GroupRules.getMatchingCalendarIds(group, this.calendars).forEach(calendarId => calendarIds.add(calendarId));
+      (group.children || []).forEach(collect);
+    };
+
+    collect(groupId);
+    return Array.from(calendarIds);
+  }
+
+  /**
+   * Expand or collapse a parent group and remember the choice
+   * @param {string} groupId - Parent group ID
+   * @param {boolean} collapsed - Whether to collapse
+   */
+  async setGroupCollapsed(groupId, collapsed) {
+    if (collapsed === this.collapsedGroups.has(groupId)) return;
+
+    if (collapsed) {
+      this.collapsedGroups.add(groupId);
+    } else {
+      this.collapsedGroups.delete(groupId);
+    }
+    this.renderGroups();
+    await chrome.storage.local.set({ collapsedGroups: Array.from(this.collapsedGroups) });
+  }
+
+  /**
+   * Get a group's color, falling back to the default for invalid or missing values
+   * @param {Object} group - Group data
+   * @returns {string} Hex color
+   */
+  getGroupColor(group) {
+    return /^#[0-9a-f]{6}$/i.test(group.color || '') ? group.color : DEFAULT_GROUP_COLOR;
+  }
+
+  /**
+   * Check if a group matches the search query by its name or a member calendar name
+   * @param {Object} group - Group data
+   * @returns {boolean} True if the group should be shown
+   */
+  matchesSearch(group) {
+    const query = this.searchQuery.trim().toLowerCase();
+    if (!query) return true;
+
+    const fingerprints = group.calendarFingerprints || {};
+    const names = [
+      group.name,
+      ...(group.calendars || []).map(calendarId =>
+        this.calendarNames[calendarId] || (fingerprints[calendarId] && fingerprints[calendarId].name) || ''
+      )
+    ];
+
+    return names.some(name => (name || '').toLowerCase().includes(query));
+  }
+
+  /**
+   * Handle keyboard navigation in the popup
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeyDown(e) {
+    if (this.elements.mainContent.style.display === 'none') return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.moveFocus(1);
+        break;
+
+      case 'ArrowUp':
+        e.preventDefault();
+        this.moveFocus(-1);
+        break;
+
+      case 'Enter':
+        if (!this.focusedGroupId) return;
+        e.preventDefault();
+        // Same modifiers as clicking: Ctrl/Cmd/Shift adds to the selection, Alt hides the group
+        this.handleGroupClick(this.focusedGroupId, e.ctrlKey || e.metaKey || e.shiftKey, e.altKey ? 'hide' : 'solo');
+        break;
+
+      case 'ArrowRight':
+      case 'ArrowLeft':
+        // Expand or collapse the selected parent group (the search box keeps its caret keys)
+        if (!this.focusedGroupId || (e.target === this.elements.groupSearch && this.elements.groupSearch.value)) return;
+        if (this.getChildIds(this.focusedGroupId).length === 0) return;
+        e.preventDefault();
+        this.setGroupCollapsed(this.focusedGroupId, e.key === 'ArrowLeft');
+        break;
+
+      case 'Escape':
+        e.preventDefault();
+        this.handleShowAll();
+        break;
+
+      case 'z':
+      case 'Z':
+      case 'y':
+      case 'Y': {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // Leave text undo to the search box while it has something to undo
+        if (e.target === this.elements.groupSearch && this.elements.groupSearch.value) return;
+        e.preventDefault();
+        const isRedo = e.key.toLowerCase() === 'y' || e.shiftKey;
+        this.handleHistoryStep(isRedo ? 'redo' : 'undo');
+        break;
+      }
+    }
+  }
+
+  /**
+   * Move the keyboard selection through the visible groups
+   * @param {number} direction - 1 for down, -1 for up
+   */
+  moveFocus(direction) {
+    const groupIds = Array.from(this.elements.groupsList.querySelectorAll('.group-item'))
+      .map(item => item.dataset.groupId);
+    if (groupIds.length === 0) {
+      this.focusedGroupId = null;
+      return;
+    }
+
+    const index = groupIds.indexOf(this.focusedGroupId);
+    if (index === -1) {
+      this.focusedGroupId = direction > 0 ? groupIds[0] : groupIds[groupIds.length - 1];
+    } else {
+      this.focusedGroupId = groupIds[(index + direction + groupIds.length) % groupIds.length];
+    }
+
+    this.updateFocusedGroup();
+  }
+
+  /**
+   * Highlight the keyboard-selected group and keep it in view
+   */
+  updateFocusedGroup() {
+    const groupItems = this.elements.groupsList.querySelectorAll('.group-item');
+    groupItems.forEach(item => {
+      const isFocused = item.dataset.groupId === this.focusedGroupId;
+      item.classList.toggle('focused', isFocused);
+      item.setAttribute('aria-selected', String(isFocused));
+      if (isFocused) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
     });
   }
 
@@ -215,30 +644,62 @@ class PopupManager {
    * Create group element
    * @param {string} groupId - Group ID
    * @param {Object} group - Group data
+   * @param {number} depth - Nesting depth in the group tree
+   * @param {boolean} hasChildren - Whether to show the expand/collapse toggle
    * @returns {HTMLElement} Group element
    */
-  createGroupElement(groupId, group) {
+  createGroupElement(groupId, group, depth = 0, hasChildren = false) {
     const groupElement = document.createElement('div');
     groupElement.className = 'group-item';
     groupElement.dataset.groupId = groupId;
+    groupElement.setAttribute('role', 'option');
+    groupElement.style.setProperty('--group-color', this.getGroupColor(group));
+    groupElement.style.setProperty('--depth', depth);
 
-    const calendarCount = group.calendars ? group.calendars.length : 0;
+    const calendarIds = this.getGroupCalendarIds(groupId);
+    const calendarCount = calendarIds.length;
     const calendarText = calendarCount === 1 ? 'カレンダー' : 'カレンダー';
+    const visibleCount = calendarIds
+      .filter(calendarId => this.calendarVisibility[calendarId]).length;
+    const visibleText = Object.keys(this.calendarVisibility).length > 0 ? `（${visibleCount}個表示中）` : '';
+    const isCollapsed = this.collapsedGroups.has(groupId);
+    const expandHtml = hasChildren ?
+      `<button class="group-expand-btn" title="${isCollapsed ? 'サブグループを表示' : 'サブグループを隠す'}" aria-expanded="${!isCollapsed}">${isCollapsed ? '▸' : '▾'}</button>` :
+      '';
 
     groupElement.innerHTML = `
+      ${expandHtml}
+      <span class="group-chip">${this.escapeHtml(group.icon || '')}</span>
       <div class="group-info">
         <div class="group-name">${this.escapeHtml(group.name)}</div>
-        <div class="group-calendars">${calendarCount}個の${calendarText}</div>
+        <div class="group-calendars">${calendarCount}個の${calendarText}${visibleText}</div>
       </div>
       <div class="group-status">
         <span class="status-dot"></span>
         <span class="status-text">非表示</span>
       </div>
+      <button class="group-hide-btn" title="このグループのカレンダーだけを非表示">🚫</button>
     `;
 
-    // Add click handler
-    groupElement.addEventListener('click', () => {
-      this.handleGroupClick(groupId);
+    // Add click handler (Ctrl/Cmd/Shift-click adds to the current selection, Alt-click hides the group)
+    groupElement.addEventListener('click', (e) => {
+      const mode = e.altKey ? 'hide' : 'solo';
+      this.handleGroupClick(groupId, e.ctrlKey || e.metaKey || e.shiftKey, mode);
+    });
+
+    // Expand/collapse the subgroups without activating the group
+    const expandBtn = groupElement.querySelector('.group-expand-btn');
+    if (expandBtn) {
+      expandBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setGroupCollapsed(groupId, !isCollapsed);
+      });
+    }
+
+    // Hide button activates the group in inverse mode
+    groupElement.querySelector('.group-hide-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handleGroupClick(groupId, e.ctrlKey || e.metaKey || e.shiftKey, 'hide');
     });
 
     return groupElement;
@@ -247,8 +708,15 @@ class PopupManager {
   /**
    * Handle group click
    * @param {string} groupId - Group ID that was clicked
+   * @param {boolean} additive - Whether to combine with the active groups
+   * @param {string} mode - 'solo' to show only the group, 'hide' to hide only the group
    */
-  async handleGroupClick(groupId) {
+  async handleGroupClick(groupId, additive = false, mode = 'solo') {
+    if (this.targetTabId === null) {
+      await this.openCalendarWithGroup(groupId, mode);
+      return;
+    }
+
     try {
       // Show loading state on the clicked group
       const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
@@ -264,25 +732,46 @@ class PopupManager {
       this.showStatusMessage('グループを切り替えています...', 'info');
       
       // Send message to content script
-      const response = await TabUtils.sendMessageToContent({
+      const response = await TabUtils.sendMessageToContent(this.targetTabId, {
         action: 'toggleGroup',
-        groupId: groupId
+        groupId: groupId,
+        additive: additive,
+        mode: mode
       });
 
+      // Too many calendars failed and the page was restored to its state before the switch
+      if (response.report && response.report.rolledBack) {
+        this.activeGroups = response.activeGroups || [];
+        this.groupModes = response.groupModes || {};
+        this.showStatusMessage(
+          `${response.report.failed.length}個のカレンダーを切り替えられなかったため、元の表示に戻しました`,
+          'error'
+        );
+        return;
+      }
+
       if (response.error) {
         throw new Error(response.error);
       }
 
       // Update UI state
-      this.currentActiveGroup = response.activeGroup;
+      this.activeGroups = response.activeGroups || [];
+      this.groupModes = response.groupModes || {};
+      this.isModified = false;
       this.updateGroupStates();
       
-      if (this.currentActiveGroup === groupId) {
-        this.showStatusMessage(`「${this.groups[groupId].name}」グループを表示中`, 'success');
+      if (this.activeGroups.length > 0) {
+        const names = this.activeGroups
+          .filter(id => this.groups[id])
+          .map(id => `${this.groups[id].icon || ''}「${this.groups[id].name}」${this.groupModes[id] === 'hide' ? '（除外）' : ''}`)
+          .join(' + ');
+        this.showStatusMessage(`${names}グループを適用中`, 'success');
       } else {
         this.showStatusMessage('すべてのカレンダーを表示中', 'success');
       }
 
+      this.showFailedCalendars(response.report);
+
     } catch (error) {
       console.error('Error toggling group:', error);
       this.showStatusMessage('グループの切り替えに失敗しました', 'error');
@@ -294,6 +783,9 @@ class PopupManager {
         // Restore proper status
         this.updateGroupStates();
       }
+
+      // Re-read the page so visibility counts match what was applied
+      await this.loadActiveState();
     }
   }
 
@@ -301,6 +793,11 @@ class PopupManager {
    * Handle show all button click
    */
   async handleShowAll() {
+    if (this.targetTabId === null) {
+      await this.openCalendarWithGroup(null);
+      return;
+    }
+
     try {
       // Show loading state on show all button
       const showAllBtn = this.elements.showAllBtn;
@@ -312,7 +809,7 @@ class PopupManager {
       this.showStatusMessage('すべてのカレンダーを表示しています...', 'info');
       
       // Send message to content script
-      const response = await TabUtils.sendMessageToContent({
+      const response = await TabUtils.sendMessageToContent(this.targetTabId, {
         action: 'showAllCalendars'
       });
 
@@ -321,9 +818,14 @@ class PopupManager {
       }
 
       // Update UI state
-      this.currentActiveGroup = null;
+      this.activeGroups = [];
+      this.groupModes = {};
+      this.isModified = false;
       this.updateGroupStates();
       this.showStatusMessage('すべてのカレンダーを表示中', 'success');
+      this.showFailedCalendars(response.report);
+
+      await this.loadActiveState();
 
     } catch (error) {
       console.error('Error showing all calendars:', error);
@@ -338,12 +840,74 @@ class PopupManager {
     }
   }
 
+  /**
+   * Handle undo or redo of the last visibility change
+   * @param {string} action - 'undo' or 'redo'
+   */
+  async handleHistoryStep(action) {
+    if (this.targetTabId === null) return;
+    if (action === 'undo' ? !this.canUndo : !this.canRedo) return;
+
+    try {
+      this.elements.undoBtn.disabled = true;
+      this.elements.redoBtn.disabled = true;
+      this.showStatusMessage(action === 'undo' ? '元に戻しています...' : 'やり直しています...', 'info');
+
+      const response = await TabUtils.sendMessageToContent(this.targetTabId, { action });
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      this.activeGroups = response.activeGroups || [];
+      this.groupModes = response.groupModes || {};
+      this.isModified = false;
+      this.showStatusMessage(action === 'undo' ? '直前の切り替えを元に戻しました' : '切り替えをやり直しました', 'success');
+      this.showFailedCalendars(response.report);
+
+    } catch (error) {
+      console.error(`Error running ${action}:`, error);
+      this.showStatusMessage(action === 'undo' ? '元に戻せませんでした' : 'やり直せませんでした', 'error');
+    } finally {
+      // Re-read the page for the visibility counts and the undo/redo availability
+      await this.loadActiveState();
+    }
+  }
+
+  /**
+   * Show calendars that could not be toggled, if any
+   * @param {Object} report - Toggle report from the content script
+   */
+  showFailedCalendars(report) {
+    if (!report || report.failed.length === 0) return;
+
+    const names = report.failed.map(calendar => calendar.name).join('、');
+    this.showStatusMessage(`一部のカレンダーを切り替えられませんでした: ${names}`, 'error');
+  }
+
+  /**
+   * Show the tabs that did not fully follow when the groups were synced to other tabs
+   * @param {Object} syncResult - Result stored by the background worker
+   */
+  showSyncFailures(syncResult) {
+    const failedTabs = ((syncResult && syncResult.results) || [])
+      .filter(result => !result.success || (result.failed || []).length > 0);
+    if (failedTabs.length === 0) return;
+
+    const titles = failedTabs.map(result => result.title || `タブ ${result.tabId}`).join('、');
+    this.showStatusMessage(`${failedTabs.length}個のタブに反映できませんでした: ${titles}`, 'error');
+  }
+
   /**
    * Update group states in UI
    */
   updateGroupStates() {
+    // Undo/redo are available only when the page has history in that direction
+    this.elements.undoBtn.disabled = !this.canUndo;
+    this.elements.redoBtn.disabled = !this.canRedo;
+
     // Update show all button
-    if (this.currentActiveGroup === null) {
+    if (this.activeGroups.length === 0) {
       this.elements.showAllBtn.classList.add('active');
     } else {
       this.elements.showAllBtn.classList.remove('active');
@@ -355,11 +919,18 @@ class PopupManager {
       const groupId = item.dataset.groupId;
       const statusText = item.querySelector('.status-text');
       
-      if (this.currentActiveGroup === groupId) {
+      if (this.activeGroups.includes(groupId)) {
+        const isHideMode = this.groupModes[groupId] === 'hide';
         item.classList.add('active');
-        statusText.textContent = '表示中';
+        item.classList.toggle('hide-mode', isHideMode);
+        item.classList.toggle('modified', this.isModified);
+        if (this.isModified) {
+          statusText.textContent = '変更あり';
+        } else {
+          statusText.textContent = isHideMode ? '除外中' : '表示中';
+        }
       } else {
-        item.classList.remove('active');
+        item.classList.remove('active', 'hide-mode', 'modified');
         statusText.textContent = '非表示';
       }
     });
@@ -392,6 +963,9 @@ class PopupManager {
     this.elements.mainContent.style.display = 'flex';
     this.elements.loadingState.style.display = 'none';
     this.elements.errorState.style.display = 'none';
+
+    // Let the user start typing a search right away
+    this.elements.groupSearch.focus();
   }
 
   /**
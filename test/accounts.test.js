@@ -0,0 +1,85 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, getCheckboxStates, waitFor } = require('./helpers/load-content');
+const { createChromeMock } = require('./helpers/chrome-mock');
+const { GROUPS } = require('./helpers/material-sidebar');
+
+describe('account scoping', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  it('only uses the groups of the account in the page URL', async () => {
+    const groups = {
+      ...GROUPS,
+      other: { name: '別アカウント', calendars: ['team@group.calendar.google.com'], account: 'u1', createdAt: 3 }
+    };
+    env = await loadContentScript('material-sidebar-ja.html', {
+      groups,
+      url: 'https://calendar.google.com/calendar/u/1/r'
+    });
+    const manager = new env.CalendarGroupManager();
+
+    await assert.rejects(manager.toggleGroup('work'), /not found/);
+    await manager.toggleGroup('other');
+
+    assert.deepEqual([...manager.activeGroups], ['other']);
+    assert.equal(getCheckboxStates(env.document)['チーム'], true);
+    assert.equal(getCheckboxStates(env.document)['仕事'], false);
+  });
+
+  it('records the email of the signed-in account and moves its groups to the email', async () => {
+    const chrome = createChromeMock();
+    chrome.storage.sync.data.settings = { defaultGroups: { u2: 'other', u0: 'work' } };
+    chrome.storage.local.data.accountEmails = { u0: 'hanako@example.com', u1: 'taro@example.com' };
+    env = await loadContentScript('material-sidebar-ja.html', {
+      groups: { ...GROUPS, other: { name: '別アカウント', calendars: [], account: 'u2', createdAt: 3 } },
+      url: 'https://calendar.google.com/calendar/u/2/r',
+      chrome
+    });
+    const accountLink = env.document.createElement('a');
+    accountLink.href = 'https://accounts.google.com/SignOutOptions';
+    accountLink.setAttribute('aria-label', 'Google アカウント: 山田 太郎 (Taro@example.com)');
+    env.document.body.appendChild(accountLink);
+
+    const activeChanges = () => env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged' && message.activeGroups.length > 0);
+
+    assert.equal(env.AccountScope.detectEmail(), 'taro@example.com');
+    await waitFor(() => activeChanges().length > 0, 5000);
+
+    assert.deepEqual(activeChanges()[0].activeGroups, ['other']);
+    assert.equal(env.chrome.storage.local.data['loadSnapshot_taro@example.com'].groupId, 'other');
+    const { groups, settings } = env.chrome.storage.sync.data;
+    assert.deepEqual({ ...env.chrome.storage.local.data.accountEmails }, {
+      u0: 'hanako@example.com',
+      u2: 'taro@example.com'
+    });
+    assert.equal(groups.other.account, 'taro@example.com');
+    assert.equal(groups.work.account, undefined);
+    assert.deepEqual({ ...settings.defaultGroups }, { 'taro@example.com': 'other', u0: 'work' });
+  });
+
+  it('uses the groups synced under the email on any /u/N index', async () => {
+    env = await loadContentScript('material-sidebar-ja.html', {
+      groups: {
+        team: { name: 'チーム', calendars: ['team@group.calendar.google.com'], account: 'taro@example.com', createdAt: 1 },
+        other: { name: '別アカウント', calendars: ['family@group.calendar.google.com'], account: 'u3', createdAt: 2 }
+      },
+      url: 'https://calendar.google.com/calendar/u/3/r'
+    });
+    const accountLink = env.document.createElement('a');
+    accountLink.href = 'https://accounts.google.com/SignOutOptions';
+    accountLink.setAttribute('aria-label', 'Google アカウント: 山田 太郎 (taro@example.com)');
+    env.document.body.appendChild(accountLink);
+    const manager = new env.CalendarGroupManager();
+
+    await manager.toggleGroup('team');
+    assert.deepEqual([...manager.activeGroups], ['team']);
+    await manager.toggleGroup('other');
+    assert.deepEqual([...manager.activeGroups], ['other']);
+  });
+});
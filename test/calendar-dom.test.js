@@ -0,0 +1,155 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/load-content');
+
+describe('CalendarDOM', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  /**
+   * Get the calendar items of a fixture page with their names and IDs
+   */
+  async function getCalendars(fixture) {
+    env = await loadContentScript(fixture);
+    const elements = await env.CalendarDOM.getCalendarElements();
+    return [...elements].map(element => ({
+      name: env.CalendarDOM.getCalendarName(element),
+      id: env.CalendarDOM.getCalendarId(element)
+    }));
+  }
+
+  describe('material sidebar layout (ja)', () => {
+    it('finds calendars in both sections and skips system items', async () => {
+      const calendars = await getCalendars('material-sidebar-ja.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.name), ['山田 太郎', '仕事', '家族', 'チーム', '日本の祝日']);
+      assert.deepEqual({ ...env.CalendarDOMAdapter.getMatchedProfileInfo() }, { name: 'material-sidebar', version: '2025.06' });
+    });
+
+    it('resolves plain and base64-encoded calendar IDs', async () => {
+      const calendars = await getCalendars('material-sidebar-ja.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.id), [
+        'taro.yamada@gmail.com',
+        'work@group.calendar.google.com',
+        'family@group.calendar.google.com',
+        'team@group.calendar.google.com',
+        'ja.japanese#holiday@group.v.calendar.google.com'
+      ]);
+    });
+
+    it('reads color and section into the fingerprint', async () => {
+      env = await loadContentScript('material-sidebar-ja.html');
+      const [element] = await env.CalendarDOM.getCalendarElements();
+
+      assert.deepEqual({ ...env.CalendarDOM.getCalendarFingerprint(element) }, {
+        name: '山田 太郎',
+        color: '#039be5',
+        section: 'my'
+      });
+    });
+
+    it('finds calendars outside the sidebar containers of a partially matching layout', async () => {
+      const calendars = await getCalendars('material-sidebar-partial-ja.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.name), ['山田 太郎', '家族', 'チーム']);
+      assert.equal(env.CalendarDOMAdapter.getMatchedProfileInfo().name, 'material-sidebar');
+    });
+  });
+
+  describe('drawer sections layout (en)', () => {
+    it('finds input checkboxes and skips tasks and reminders', async () => {
+      const calendars = await getCalendars('drawer-sections-en.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.name), ['John Smith', 'Side project', 'Jane Doe', 'Ops on-call']);
+      assert.equal(env.CalendarDOMAdapter.getMatchedProfileInfo().name, 'drawer-sections');
+    });
+
+    it('resolves IDs from settings links and data attributes', async () => {
+      const calendars = await getCalendars('drawer-sections-en.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.id), [
+        'john.smith@gmail.com',
+        'side.project@group.calendar.google.com',
+        'jane.doe@example.com',
+        'ops-oncall@example.com'
+      ]);
+    });
+  });
+
+  describe('generic layout (de)', () => {
+    it('falls back to the generic profile and skips German system items', async () => {
+      const calendars = await getCalendars('generic-de.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.name), ['Max Mustermann', 'Lauftraining', 'Schulferien', 'Verein']);
+      assert.equal(env.CalendarDOMAdapter.getMatchedProfileInfo().name, 'generic');
+    });
+
+    it('resolves IDs from labels and generates one when none is exposed', async () => {
+      const calendars = await getCalendars('generic-de.html');
+
+      assert.equal(calendars[0].id, 'max.mustermann@gmail.com');
+      assert.match(calendars[1].id, /^cal_lauftraining_/);
+      assert.equal(calendars[3].id, 'verein@group.calendar.google.com');
+    });
+  });
+
+  describe('calendar IDs', () => {
+    it('does not give two rows the email both of them mention', async () => {
+      const calendars = await getCalendars('shared-email-en.html');
+
+      assert.deepEqual(calendars.map(calendar => calendar.name), ['John Smith', 'Team offsite', 'Release train']);
+      assert.equal(calendars[0].id, 'john.smith@gmail.com');
+      assert.match(calendars[1].id, /^cal_/);
+      assert.match(calendars[2].id, /^cal_/);
+      assert.notEqual(calendars[1].id, calendars[2].id);
+    });
+  });
+
+  describe('isCalendarItem', () => {
+    it('rejects elements without a checkbox', async () => {
+      env = await loadContentScript('material-sidebar-ja.html');
+      const button = env.document.querySelector('button');
+
+      assert.equal(env.CalendarDOM.isCalendarItem(button), false);
+    });
+
+    it('only skips system items as whole words', async () => {
+      env = await loadContentScript('material-sidebar-ja.html');
+      const items = env.document.querySelectorAll('li');
+      const byName = (name) => Array.from(items).find(item => item.textContent.trim() === name);
+
+      assert.equal(env.CalendarDOM.isCalendarItem(byName('タスク')), false);
+      assert.equal(env.CalendarDOM.isCalendarItem(byName('誕生日')), false);
+      assert.ok(env.CalendarDOM.isCalendarItem(byName('日本の祝日')));
+    });
+
+    it('uses the system items of the page language', async () => {
+      env = await loadContentScript('generic-de.html');
+      const aufgaben = env.document.querySelector('[title="Aufgaben"]').parentElement;
+
+      assert.equal(env.CalendarDOM.isCalendarItem(aufgaben), false);
+
+      env.document.documentElement.setAttribute('lang', 'ko');
+      env.CalendarLocale.cache = { lang: null, labels: null };
+      aufgaben.querySelector('span').textContent = '할 일';
+      aufgaben.firstElementChild.setAttribute('title', '할 일');
+
+      assert.equal(env.CalendarDOM.isCalendarItem(aufgaben), false);
+    });
+  });
+
+  describe('CalendarLocale', () => {
+    it('resolves region, language and fallback locales', async () => {
+      env = await loadContentScript('generic-de.html');
+
+      assert.deepEqual([...env.CalendarLocale.resolveLocales('zh-TW')], ['zh-TW', 'zh', 'en', 'ja']);
+      assert.deepEqual([...env.CalendarLocale.resolveLocales('pt-BR')], ['pt', 'en', 'ja']);
+      assert.deepEqual([...env.CalendarLocale.resolveLocales('')], ['en', 'ja']);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, getCheckboxStates, waitFor } = require('./helpers/load-content');
+const { createChromeMock } = require('./helpers/chrome-mock');
+const { GROUPS, INITIAL_STATES } = require('./helpers/material-sidebar');
+
+describe('default group on load', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  it('applies the default group on load and shows all calendars as they were before it', async () => {
+    const WORK_STATES = { ...INITIAL_STATES, '山田 太郎': false, 'チーム': true, '家族': false, '日本の祝日': false };
+    const chrome = createChromeMock();
+    chrome.storage.sync.data.settings = { defaultGroups: { u0: 'work' } };
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, chrome });
+    const activeChanges = () => env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged' && message.activeGroups.length > 0);
+
+    await waitFor(() => activeChanges().length > 0, 5000);
+    assert.deepEqual(activeChanges()[0].activeGroups, ['work']);
+    assert.deepEqual(getCheckboxStates(env.document), WORK_STATES);
+    const snapshot = env.chrome.storage.local.data.loadSnapshot_u0;
+    assert.equal(snapshot.groupId, 'work');
+    await env.close();
+
+    // Next visit: Google Calendar still shows the group's calendars, so the saved snapshot is reused
+    const nextChrome = createChromeMock({ tabId: 2 });
+    nextChrome.storage.sync.data.settings = { defaultGroups: { u0: 'work' } };
+    nextChrome.storage.local.data.loadSnapshot_u0 = snapshot;
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, chrome: nextChrome });
+    env.document.querySelectorAll('[role="checkbox"]').forEach(checkbox => {
+      const label = checkbox.getAttribute('title') || checkbox.getAttribute('aria-label');
+      if (label in WORK_STATES) checkbox.setAttribute('aria-checked', String(WORK_STATES[label]));
+    });
+
+    await waitFor(() => activeChanges().length > 0, 5000);
+    await env.chrome.runtime.dispatchMessage({ action: 'showAllCalendars' });
+
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+    assert.equal(env.chrome.storage.local.data.loadSnapshot_u0, undefined);
+  });
+
+  it('drops the load snapshot once its group is no longer applied on load', async () => {
+    const chrome = createChromeMock();
+    chrome.storage.local.data.loadSnapshot_u0 = { groupId: 'work', states: {} };
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, chrome });
+
+    await waitFor(() => !('loadSnapshot_u0' in env.chrome.storage.local.data), 5000);
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+  });
+
+  it('queues a group request sent while the default group is being applied', async () => {
+    const FAMILY_STATES = { ...INITIAL_STATES, '山田 太郎': false, '仕事': false, '日本の祝日': false };
+    const chrome = createChromeMock();
+    chrome.storage.sync.data.settings = { defaultGroups: { u0: 'work' } };
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, chrome });
+    const activeChanges = () => env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged')
+      .map(message => message.activeGroups);
+
+    // The first checkbox only reacts to the forced fallback, which keeps the default group busy for a while
+    const firstCheckbox = env.document.querySelector('[aria-label="山田 太郎"]');
+    firstCheckbox.setAttribute('data-unresponsive', '');
+
+    // Send the request as soon as the default group clicks its first checkbox
+    const response = await new Promise((resolve) => {
+      env.document.addEventListener('click', () => {
+        resolve(env.chrome.runtime.dispatchMessage({ action: 'toggleGroup', groupId: 'family' }));
+      }, { once: true });
+    });
+
+    assert.deepEqual([...response.activeGroups], ['family']);
+    assert.deepEqual(activeChanges().filter(groups => groups.length > 0), [['work'], ['family']]);
+    assert.deepEqual(getCheckboxStates(env.document), FAMILY_STATES);
+
+    firstCheckbox.removeAttribute('data-unresponsive');
+    await env.chrome.runtime.dispatchMessage({ action: 'showAllCalendars' });
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+  });
+
+  it('skips the default group when a group was requested while the page was loading', async () => {
+    const chrome = createChromeMock();
+    chrome.storage.sync.data.settings = { defaultGroups: { u0: 'work' } };
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, chrome });
+
+    const response = await env.chrome.runtime.dispatchMessage({ action: 'toggleGroup', groupId: 'family' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.deepEqual([...response.activeGroups], ['family']);
+    const activeChanges = env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged' && message.activeGroups.length > 0);
+    assert.deepEqual(activeChanges.map(message => message.activeGroups), [['family']]);
+    assert.equal(env.chrome.storage.local.data.loadSnapshot_u0, undefined);
+  });
+});
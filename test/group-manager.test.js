@@ -0,0 +1,291 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, getCheckboxStates } = require('./helpers/load-content');
+const { GROUPS, INITIAL_STATES } = require('./helpers/material-sidebar');
+
+describe('CalendarGroupManager', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  /**
+   * Load the Japanese material fixture with test groups and a fresh manager
+   */
+  async function setup(options = {}) {
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, ...options });
+    return new env.CalendarGroupManager();
+  }
+
+  it('shows only the calendars of a solo group', async () => {
+    const manager = await setup();
+
+    const report = await manager.toggleGroup('work');
+
+    assert.deepEqual(getCheckboxStates(env.document), {
+      ...INITIAL_STATES,
+      '山田 太郎': false,
+      'チーム': true,
+      '家族': false,
+      '日本の祝日': false
+    });
+    assert.equal(report.changed, 4);
+    assert.equal(report.succeeded, 4);
+    assert.deepEqual([...manager.activeGroups], ['work']);
+  });
+
+  it('restores the snapshot when the active group is toggled off', async () => {
+    const manager = await setup();
+
+    await manager.toggleGroup('work');
+    await manager.toggleGroup('work');
+
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+    assert.deepEqual([...manager.activeGroups], []);
+    assert.equal(manager.originalCalendarStates.size, 0);
+  });
+
+  it('restores the snapshot with showAllCalendars after switching groups', async () => {
+    const manager = await setup();
+
+    await manager.toggleGroup('work');
+    await manager.toggleGroup('family');
+    assert.equal(getCheckboxStates(env.document)['家族'], true);
+    assert.equal(getCheckboxStates(env.document)['仕事'], false);
+
+    const report = await manager.showAllCalendars();
+
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+    assert.equal(report.failed.length, 0);
+  });
+
+  it('combines groups additively', async () => {
+    const manager = await setup();
+
+    await manager.toggleGroup('work');
+    await manager.toggleGroup('family', true);
+
+    const states = getCheckboxStates(env.document);
+    assert.equal(states['仕事'], true);
+    assert.equal(states['チーム'], true);
+    assert.equal(states['家族'], true);
+    assert.equal(states['山田 太郎'], false);
+    assert.deepEqual([...manager.activeGroups], ['work', 'family']);
+  });
+
+  it('hides only the calendars of a hide group', async () => {
+    const manager = await setup();
+
+    await manager.toggleGroup('family', false, 'hide');
+
+    assert.deepEqual(getCheckboxStates(env.document), { ...INITIAL_STATES, '家族': false });
+    assert.equal(manager.groupModes.family, 'hide');
+  });
+
+  it('falls back to forcing the state when a click does not take effect', async () => {
+    const manager = await setup();
+    env.document.querySelector('[aria-label="家族"]').setAttribute('data-unresponsive', '');
+
+    const report = await manager.toggleGroup('work');
+
+    assert.equal(getCheckboxStates(env.document)['家族'], false);
+    assert.equal(report.failed.length, 0);
+  });
+
+  it('rolls back to the previous group, not the snapshot, when too many calendars fail', async () => {
+    const manager = await setup();
+    await manager.toggleGroup('work');
+    const workStates = getCheckboxStates(env.document);
+    const historyLength = manager.history.toJSON().entries.length;
+
+    // Hiding 仕事 and チーム fails, showing 家族 works
+    const toggleCalendarVisibility = manager.toggleCalendarVisibility.bind(manager);
+    manager.toggleCalendarVisibility = async (checkbox, visible) =>
+      ['仕事', 'チーム'].includes(checkbox.getAttribute('aria-label')) ? false : toggleCalendarVisibility(checkbox, visible);
+
+    const report = await manager.toggleGroup('family');
+
+    assert.equal(report.rolledBack, true);
+    assert.deepEqual(getCheckboxStates(env.document), workStates);
+    assert.deepEqual([...manager.activeGroups], ['work']);
+    assert.equal(manager.history.toJSON().entries.length, historyLength);
+
+    delete manager.toggleCalendarVisibility;
+    await manager.showAllCalendars();
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+  });
+
+  it('persists the active group and snapshot per tab and account', async () => {
+    const manager = await setup({
+      url: 'https://calendar.google.com/calendar/u/1/r/week',
+      groups: { ...GROUPS, work: { ...GROUPS.work, account: 'u1' } }
+    });
+
+    await manager.toggleGroup('work');
+
+    const saved = env.chrome.storage.session.data.activeState_1_u1;
+    assert.deepEqual(saved.activeGroups, ['work']);
+    assert.equal(saved.originalCalendarStates['team@group.calendar.google.com'], false);
+
+    await manager.showAllCalendars();
+    const cleared = env.chrome.storage.session.data.activeState_1_u1;
+    assert.deepEqual(cleared.activeGroups, []);
+    assert.deepEqual(cleared.originalCalendarStates, {});
+  });
+
+  it('undoes and redoes group activations and show-all', async () => {
+    const manager = await setup();
+
+    await manager.toggleGroup('work');
+    const workStates = getCheckboxStates(env.document);
+    await manager.toggleGroup('family', false, 'hide');
+    await manager.showAllCalendars();
+
+    await manager.undo();
+    assert.deepEqual([...manager.activeGroups], ['family']);
+    assert.deepEqual(getCheckboxStates(env.document), { ...INITIAL_STATES, '家族': false });
+
+    await manager.undo();
+    assert.deepEqual([...manager.activeGroups], ['work']);
+    assert.deepEqual(getCheckboxStates(env.document), workStates);
+
+    await manager.undo();
+    assert.deepEqual([...manager.activeGroups], []);
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+    await assert.rejects(manager.undo(), /Nothing to undo/);
+
+    await manager.redo();
+    assert.deepEqual(getCheckboxStates(env.document), workStates);
+
+    // The snapshot comes back with the state, so show-all still restores the original visibility
+    await manager.showAllCalendars();
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+    await assert.rejects(manager.redo(), /Nothing to redo/);
+  });
+
+  it('keeps the history across reloads and bounds its length', async () => {
+    const manager = await setup();
+
+    for (let i = 0; i < 25; i++) {
+      await manager.toggleGroup(i % 2 === 0 ? 'work' : 'family');
+    }
+    const saved = env.chrome.storage.session.data.activeState_1_u0;
+    assert.equal(saved.history.entries.length, 20);
+
+    const reloaded = new env.CalendarGroupManager();
+    await reloaded.stateRestored;
+    assert.equal(reloaded.history.canUndo(), true);
+
+    await reloaded.undo();
+    assert.deepEqual([...reloaded.activeGroups], ['family']);
+    assert.equal(getCheckboxStates(env.document)['仕事'], false);
+    assert.equal(getCheckboxStates(env.document)['家族'], true);
+  });
+
+  it('reports active group changes for the toolbar badge', async () => {
+    const manager = await setup();
+    const badgeUpdates = () => env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged')
+      .map(message => message.activeGroups);
+
+    await manager.toggleGroup('family', false, 'hide');
+    await manager.showAllCalendars();
+
+    assert.deepEqual(badgeUpdates().slice(-2), [['family'], []]);
+    const [hideUpdate] = env.chrome.runtime.sentMessages.filter(message =>
+      message.action === 'activeGroupsChanged' && message.activeGroups.length > 0
+    );
+    assert.deepEqual(hideUpdate.groupModes, { family: 'hide' });
+  });
+
+  it('applies groups synced from another tab without propagating them again', async () => {
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS });
+    const changes = () => env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged');
+
+    await env.chrome.runtime.dispatchMessage({ action: 'toggleGroup', groupId: 'family' });
+    assert.equal(changes().at(-1).propagate, true);
+
+    const response = await env.chrome.runtime.dispatchMessage({
+      action: 'applyActiveGroups',
+      activeGroups: ['work', 'family', 'missing'],
+      groupModes: { work: 'solo', family: 'hide' }
+    });
+
+    assert.equal(response.success, true);
+    assert.deepEqual([...response.activeGroups], ['work', 'family']);
+    assert.deepEqual({ ...response.groupModes }, { work: 'solo', family: 'hide' });
+    assert.equal(getCheckboxStates(env.document)['仕事'], true);
+    assert.equal(getCheckboxStates(env.document)['家族'], false);
+    assert.equal(changes().at(-1).propagate, false);
+
+    await env.chrome.runtime.dispatchMessage({ action: 'applyActiveGroups', activeGroups: [], groupModes: {} });
+    assert.deepEqual(getCheckboxStates(env.document), INITIAL_STATES);
+    assert.equal(changes().at(-1).propagate, false);
+  });
+
+  it('migrates groups saved with legacy calendar IDs and no fingerprints', async () => {
+    env = await loadContentScript('generic-de.html', {
+      groups: {
+        old: {
+          name: 'Alt',
+          // Moved generated ID, unchanged generated ID, bare name
+          calendars: ['cal_max_mustermann_maxmusterm_2', 'cal_verein_verein_1', 'Schulferien'],
+          createdAt: 1
+        }
+      }
+    });
+    const manager = new env.CalendarGroupManager();
+
+    const groups = await manager.loadGroups();
+
+    const expectedIds = ['max.mustermann@gmail.com', 'verein@group.calendar.google.com', 'schulferien@group.calendar.google.com'];
+    assert.deepEqual([...groups.old.calendars], expectedIds);
+    const stored = env.chrome.storage.sync.data.groups.old;
+    assert.deepEqual([...stored.calendars], expectedIds);
+    assert.deepEqual(Object.keys(stored.calendarFingerprints).sort(), [...expectedIds].sort());
+    assert.equal(stored.calendarFingerprints['verein@group.calendar.google.com'].name, 'Verein');
+  });
+
+  it('shows the calendars of all subgroups for a parent group', async () => {
+    const manager = await setup({
+      groups: {
+        ...GROUPS,
+        department: { name: '部署', calendars: [], children: ['team'] },
+        team: { name: 'チーム', calendars: ['team@group.calendar.google.com'], children: ['family', 'department'] }
+      }
+    });
+
+    await manager.toggleGroup('department');
+
+    assert.deepEqual(getCheckboxStates(env.document), {
+      ...INITIAL_STATES,
+      '山田 太郎': false,
+      '仕事': false,
+      'チーム': true,
+      '日本の祝日': false
+    });
+  });
+
+  it('throws for an unknown group', async () => {
+    const manager = await setup();
+
+    await assert.rejects(manager.toggleGroup('missing'), /Group not found/);
+  });
+
+  it('answers toggleGroup and getState messages', async () => {
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS });
+
+    const toggleResponse = await env.chrome.runtime.dispatchMessage({ action: 'toggleGroup', groupId: 'family' });
+    assert.equal(toggleResponse.success, true);
+    assert.deepEqual([...toggleResponse.activeGroups], ['family']);
+
+    const state = await env.chrome.runtime.dispatchMessage({ action: 'getState' });
+    assert.deepEqual([...state.activeGroups], ['family']);
+    assert.equal(state.hasSnapshot, true);
+    assert.equal(state.modified, false);
+    assert.equal(state.calendars.length, 5);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, getCheckboxStates } = require('./helpers/load-content');
+const { GROUPS, INITIAL_STATES } = require('./helpers/material-sidebar');
+
+describe('rule-based groups', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  /**
+   * Load the Japanese material fixture with test groups and a fresh manager
+   */
+  async function setup(options = {}) {
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, ...options });
+    return new env.CalendarGroupManager();
+  }
+
+  it('selects the calendars matching a rule-based group when it is activated', async () => {
+    const manager = await setup({
+      groups: {
+        ...GROUPS,
+        shared: {
+          name: '共有',
+          calendars: [],
+          rules: [
+            { type: 'domain', value: '@group.calendar.google.com' },
+            { type: 'name', value: '^(仕事|家族)$' }
+          ],
+          ruleMatch: 'all'
+        }
+      }
+    });
+
+    await manager.toggleGroup('shared');
+
+    assert.deepEqual(getCheckboxStates(env.document), {
+      ...INITIAL_STATES,
+      '山田 太郎': false,
+      '日本の祝日': false
+    });
+    assert.equal(env.chrome.storage.sync.data.groups.shared.ruleCalendars, undefined);
+  });
+
+  it('matches rules by name, domain, section and color', async () => {
+    env = await loadContentScript('material-sidebar-ja.html');
+    const { GroupRules } = env;
+    const calendar = { id: 'family@group.calendar.google.com', name: '家族', color: 'rgb(246, 191, 38)', section: 'other' };
+
+    assert.equal(GroupRules.matchesRule({ type: 'name', value: '家' }, calendar), true);
+    assert.equal(GroupRules.matchesRule({ type: 'name', value: '[' }, calendar), false);
+    assert.equal(GroupRules.matchesRule({ type: 'domain', value: 'group.calendar.google.com' }, calendar), true);
+    assert.equal(GroupRules.matchesRule({ type: 'domain', value: '@gmail.com' }, calendar), false);
+    assert.equal(GroupRules.matchesRule({ type: 'section', value: 'other' }, calendar), true);
+    assert.equal(GroupRules.matchesRule({ type: 'color', value: '#F6BF26' }, calendar), true);
+
+    const rules = [{ type: 'section', value: 'my' }, { type: 'name', value: '家族' }];
+    assert.equal(GroupRules.matchesGroup({ rules, ruleMatch: 'all' }, calendar), false);
+    assert.equal(GroupRules.matchesGroup({ rules, ruleMatch: 'any' }, calendar), true);
+    assert.equal(GroupRules.matchesGroup({ rules: [] }, calendar), false);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, getCheckboxStates, waitFor } = require('./helpers/load-content');
+
+const GROUPS = {
+  work: {
+    name: '仕事',
+    calendars: ['work@group.calendar.google.com', 'team@group.calendar.google.com'],
+    color: '#d50000',
+    icon: '💼',
+    order: 1
+  },
+  family: {
+    name: '家族',
+    calendars: ['family@group.calendar.google.com'],
+    color: '#f6bf26',
+    order: 0
+  }
+};
+
+describe('GroupSwitcher', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  /**
+   * Load the Japanese material fixture and wait for the content script to insert the switcher
+   */
+  async function setup() {
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS });
+    await waitFor(() => env.document.querySelectorAll('.gcgm-switcher .gcgm-chip').length > 0);
+    return env.document.querySelector('.gcgm-switcher');
+  }
+
+  const chipLabels = (switcher) => Array.from(switcher.querySelectorAll('.gcgm-chip'))
+    .map(chip => chip.textContent.trim());
+
+  it('inserts chips in group order above the calendar list', async () => {
+    const switcher = await setup();
+
+    assert.deepEqual(chipLabels(switcher), ['すべて', '家族', '💼仕事']);
+    assert.equal(switcher.nextElementSibling.getAttribute('data-drawer'), 'my-calendars');
+    assert.ok(switcher.querySelector('.gcgm-chip:first-child').classList.contains('gcgm-active'));
+  });
+
+  it('applies a group and shows all calendars again from the chips', async () => {
+    const switcher = await setup();
+
+    switcher.querySelector('[data-group-id="family"]').click();
+    await waitFor(() => switcher.querySelector('[data-group-id="family"].gcgm-active'));
+
+    assert.equal(getCheckboxStates(env.document)['家族'], true);
+    assert.equal(getCheckboxStates(env.document)['仕事'], false);
+
+    switcher.querySelector('.gcgm-chip:first-child').click();
+    await waitFor(() => switcher.querySelector('.gcgm-chip:first-child.gcgm-active'));
+
+    assert.equal(getCheckboxStates(env.document)['仕事'], true);
+  });
+
+  it('uses hide mode on Alt+click', async () => {
+    const switcher = await setup();
+
+    const event = new env.window.MouseEvent('click', { bubbles: true, altKey: true });
+    switcher.querySelector('[data-group-id="work"]').dispatchEvent(event);
+    await waitFor(() => switcher.querySelector('[data-group-id="work"].gcgm-active'));
+
+    assert.ok(switcher.querySelector('[data-group-id="work"]').classList.contains('gcgm-hide-mode'));
+    assert.equal(getCheckboxStates(env.document)['仕事'], false);
+    assert.equal(getCheckboxStates(env.document)['家族'], true);
+  });
+
+  it('follows group changes in storage', async () => {
+    const switcher = await setup();
+
+    env.chrome.storage.sync.set({ groups: { family: { ...GROUPS.family, name: 'ファミリー' } } });
+    await waitFor(() => chipLabels(switcher).includes('ファミリー'));
+
+    assert.deepEqual(chipLabels(switcher), ['すべて', 'ファミリー']);
+  });
+
+  it('comes back after the sidebar re-renders', async () => {
+    const switcher = await setup();
+    const sidebar = env.document.querySelector('.Y2Qmjb');
+    const rerendered = sidebar.cloneNode(true);
+    rerendered.querySelector('.gcgm-switcher').remove();
+
+    sidebar.replaceWith(rerendered);
+    assert.equal(switcher.isConnected, false);
+    await waitFor(() => env.document.querySelector('.gcgm-switcher'));
+
+    assert.equal(env.document.querySelectorAll('.gcgm-switcher').length, 1);
+    assert.equal(env.document.querySelector('.gcgm-switcher').nextElementSibling.getAttribute('data-drawer'), 'my-calendars');
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, getCheckboxStates, waitFor } = require('./helpers/load-content');
+const { createChromeMock } = require('./helpers/chrome-mock');
+const { GROUPS } = require('./helpers/material-sidebar');
+
+describe('group views', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  /**
+   * Load the Japanese material fixture with test groups and a fresh manager
+   */
+  async function setup(options = {}) {
+    env = await loadContentScript('material-sidebar-ja.html', { groups: GROUPS, ...options });
+    return new env.CalendarGroupManager();
+  }
+
+  it('switches to the group view after applying its calendars', async () => {
+    const groups = {
+      ...GROUPS,
+      sprint: {
+        name: 'スプリント計画',
+        calendars: ['work@group.calendar.google.com'],
+        account: 'u1',
+        view: { type: 'week', date: { mode: 'absolute', value: '2026-03-02' } }
+      },
+      team: { name: 'チーム', calendars: ['team@group.calendar.google.com'], account: 'u1' }
+    };
+    const manager = await setup({ url: 'https://calendar.google.com/calendar/u/1/r/day/2026/1/5', groups });
+    const navigations = [];
+    env.CalendarView.navigate = (path) => navigations.push(path);
+
+    const report = await manager.toggleGroup('sprint');
+
+    assert.equal(report.navigatedTo, '/calendar/u/1/r/week/2026/3/2');
+    assert.deepEqual(navigations, ['/calendar/u/1/r/week/2026/3/2']);
+    assert.equal(getCheckboxStates(env.document)['仕事'], true);
+    assert.equal(getCheckboxStates(env.document)['家族'], false);
+    const session = structuredClone(env.chrome.storage.session.data);
+    assert.equal(session.activeState_1_u1.navigatingTo, '/calendar/u/1/r/week/2026/3/2');
+    await env.close();
+
+    // The loaded view keeps the group even while a schedule selects another one
+    const chrome = createChromeMock({ runtimeHandlers: { getScheduledGroup: () => ({ groupId: 'team' }) } });
+    Object.assign(chrome.storage.session.data, session);
+    env = await loadContentScript('material-sidebar-ja.html', {
+      url: 'https://calendar.google.com/calendar/u/1/r/week/2026/3/2',
+      groups,
+      chrome
+    });
+    // The switcher is added once startup has finished
+    await waitFor(() => env.document.querySelector('.gcgm-switcher'), 5000);
+    assert.equal(env.chrome.storage.session.data.activeState_1_u1.navigatingTo, undefined);
+    const state = await env.chrome.runtime.dispatchMessage({ action: 'getState' });
+
+    assert.deepEqual([...state.activeGroups], ['sprint']);
+    assert.ok(!env.chrome.runtime.sentMessages.some(message => message.action === 'getScheduledGroup'));
+
+    // Turning the group off restores the calendars but leaves the view alone
+    const reloaded = new env.CalendarGroupManager();
+    env.CalendarView.navigate = (path) => navigations.push(path);
+    await reloaded.toggleGroup('sprint');
+    assert.equal(navigations.length, 1);
+  });
+
+  it('builds view paths with relative dates', async () => {
+    env = await loadContentScript('material-sidebar-ja.html');
+    const today = new Date(2026, 11, 30);
+    const month = { type: 'month', date: { mode: 'relative', offsetDays: 3 } };
+
+    assert.equal(env.CalendarView.buildPath(month, '/calendar/r/day', today), '/calendar/r/month/2027/1/2');
+    assert.equal(env.CalendarView.buildPath({ type: 'agenda' }, '/calendar/u/2/r', today), '/calendar/u/2/r/agenda');
+    assert.equal(env.CalendarView.buildPath({ type: 'custom', date: { mode: 'relative', offsetDays: -1 } }, '/calendar/u/0/r', today),
+      '/calendar/u/0/r/customday/2026/12/29');
+    assert.equal(env.CalendarView.buildPath({ type: 'year' }, '/calendar/r', today), null);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * In-memory mock of the chrome.* APIs used by the extension
+ */
+
+/**
+ * Call back asynchronously, or return a promise when no callback is given (like the MV3 APIs)
+ * @param {Function|undefined} callback - Callback
+ * @param {Function} getResult - Produces the result
+ * @returns {Promise|undefined} Promise of the result when there is no callback
+ */
+function respond(callback, getResult = () => undefined) {
+  if (!callback) {
+    return new Promise(resolve => setTimeout(() => resolve(getResult()), 0));
+  }
+  setTimeout(() => callback(getResult()), 0);
+}
+
+/**
+ * Create an event with addListener that keeps the listeners for tests to call
+ * @returns {Object} Event with addListener and listeners
+ */
+function createEvent() {
+  return {
+    listeners: [],
+    addListener(listener) {
+      this.listeners.push(listener);
+    }
+  };
+}
+
+/**
+ * Create a storage area that mimics chrome.storage.{sync,session,local}
+ * Values are cloned on the way in and out, like the real serialized storage
+ * @param {Function} onChange - Called with the changes after set/remove
+ * @returns {Object} Storage area with get/set/remove and the raw data
+ */
+function createStorageArea(onChange = () => {}) {
+  const data = {};
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) {
+      return structuredClone(data);
+    }
+
+    const result = {};
+    if (typeof keys === 'string' || Array.isArray(keys)) {
+      [].concat(keys).forEach(key => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+    } else {
+      Object.entries(keys).forEach(([key, defaultValue]) => {
+        result[key] = key in data ? structuredClone(data[key]) : defaultValue;
+      });
+    }
+    return result;
+  };
+
+  return {
+    data,
+
+    get(keys, callback) {
+      return respond(callback, () => pick(keys));
+    },
+
+    set(items, callback) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      });
+      setTimeout(() => onChange(changes), 0);
+      return respond(callback);
+    },
+
+    remove(keys, callback) {
+      const changes = {};
+      [].concat(keys).forEach(key => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      setTimeout(() => onChange(changes), 0);
+      return respond(callback);
+    },
+
+    setAccessLevel() {
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Create a chrome API mock
+ * @param {Object} options - Mock options
+ * @param {number} options.tabId - Tab ID reported to the content script
+ * @param {Object} options.runtimeHandlers - Extra runtime.sendMessage handlers keyed by action
+ * @param {Array<Object>} options.tabs - Tabs returned by tabs.query
+ * @param {Object} options.tabHandlers - tabs.sendMessage handlers keyed by action, called with (message, tabId)
+ * @returns {Object} chrome mock
+ */
+function createChromeMock({
+  tabId = 1,
+  runtimeHandlers = {},
+  tabs = [{ id: tabId, url: 'https://calendar.google.com/calendar/u/0/r' }],
+  tabHandlers = {}
+} = {}) {
+  const messageListeners = [];
+  const storageListeners = [];
+  const notifyStorage = (areaName) => (changes) => {
+    storageListeners.forEach(listener => listener(structuredClone(changes), areaName));
+  };
+  const handlers = {
+    getTabId: () => ({ tabId }),
+    ...runtimeHandlers
+  };
+
+  return {
+    storage: {
+      sync: createStorageArea(notifyStorage('sync')),
+      session: createStorageArea(notifyStorage('session')),
+      local: createStorageArea(notifyStorage('local')),
+      onChanged: {
+        addListener(listener) {
+          storageListeners.push(listener);
+        }
+      }
+    },
+
+    runtime: {
+      lastError: undefined,
+
+      // Messages sent by the content script to the background, in order
+      sentMessages: [],
+
+      sendMessage(message, callback) {
+        this.sentMessages.push(structuredClone(message));
+        const handler = handlers[message.action];
+        const response = handler ? handler(message) : undefined;
+        if (callback) setTimeout(() => callback(response), 0);
+      },
+
+      onMessage: {
+        addListener(listener) {
+          messageListeners.push(listener);
+        }
+      },
+
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+
+      /**
+       * Deliver a message to the registered onMessage listeners, like a popup would
+       * @param {Object} message - Message to send
+       * @returns {Promise<Object>} First response sent by a listener
+       */
+      dispatchMessage(message) {
+        return new Promise((resolve) => {
+          messageListeners.forEach(listener => {
+            listener(message, { tab: { id: tabId } }, resolve);
+          });
+        });
+      }
+    },
+
+    tabs: {
+      // Messages sent to tabs, with the target tab ID
+      sentMessages: [],
+
+      query(queryInfo, callback) {
+        return respond(callback, () => structuredClone(tabs));
+      },
+
+      sendMessage(targetTabId, message, callback) {
+        this.sentMessages.push({ tabId: targetTabId, message: structuredClone(message) });
+        const handler = tabHandlers[message.action];
+        return respond(callback, () => handler ? handler(message, targetTabId) : undefined);
+      },
+
+      onRemoved: createEvent(),
+      onUpdated: createEvent()
+    },
+
+    // Used by the background worker
+    alarms: {
+      // Alarms created, keyed by name
+      created: {},
+
+      create(name, alarmInfo) {
+        this.created[name] = { name, scheduledTime: alarmInfo.when };
+        return Promise.resolve();
+      },
+
+      clear(name) {
+        const existed = name in this.created;
+        delete this.created[name];
+        return Promise.resolve(existed);
+      },
+
+      onAlarm: createEvent()
+    },
+
+    commands: {
+      onCommand: createEvent()
+    }
+  };
+}
+
+module.exports = { createChromeMock, createStorageArea };
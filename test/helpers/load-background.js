@@ -0,0 +1,36 @@
+/**
+ * Load the background service worker into a VM context with the chrome mock
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createChromeMock } = require('./chrome-mock');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run background.js, and the scripts it imports, in a fresh context
+ * Top-level functions of the worker become properties of the returned context
+ * @param {Object} options - Options
+ * @param {Object} options.chrome - chrome mock (created if omitted)
+ * @returns {Object} Worker context with chrome and the background functions
+ */
+function loadBackgroundScript({ chrome = createChromeMock() } = {}) {
+  const silent = () => {};
+  const context = vm.createContext({
+    chrome,
+    console: { log: silent, warn: silent, error: silent },
+    setTimeout,
+    clearTimeout,
+    structuredClone
+  });
+  const runScript = (file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  };
+
+  context.importScripts = (...files) => files.forEach(runScript);
+  runScript('background.js');
+  return context;
+}
+
+module.exports = { loadBackgroundScript };
@@ -0,0 +1,111 @@
+/**
+ * Load content.js into a Google Calendar sidebar fixture
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createChromeMock } = require('./chrome-mock');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+// Scripts injected by the content_scripts entry of manifest.json, in order
+const CONTENT_SCRIPTS = ['group-utils.js', 'content.js']
+  .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+  .join('\n');
+
+// Top-level declarations of content.js that tests need access to
+const EXPORTS = [
+  'StorageUtils', 'SessionState', 'AccountScope', 'CalendarLocale', 'CalendarLayoutProfiles',
+  'CalendarDOMAdapter', 'CalendarDOM', 'CalendarView', 'GroupRules', 'CalendarGroupManager'
+];
+
+/**
+ * Make [role="checkbox"] elements flip aria-checked on click, like Google Calendar does
+ * Checkboxes marked with data-unresponsive ignore clicks
+ * @param {Window} window - Fixture window
+ */
+function simulateCheckboxes(window) {
+  window.document.addEventListener('click', (event) => {
+    const checkbox = event.target.closest('[role="checkbox"]');
+    if (!checkbox || checkbox.hasAttribute('data-unresponsive')) return;
+
+    const checked = checkbox.getAttribute('aria-checked') === 'true';
+    checkbox.setAttribute('aria-checked', String(!checked));
+  });
+}
+
+/**
+ * Load a fixture page and run content.js in it once the document is loaded (like run_at: document_idle)
+ * @param {string} fixture - Fixture file name in test/fixtures
+ * @param {Object} options - Options
+ * @param {string} options.url - Page URL
+ * @param {Object} options.chrome - chrome mock (created if omitted)
+ * @param {Object} options.groups - Groups to put in chrome.storage.sync before loading
+ * @returns {Promise<Object>} Window, chrome mock and content script declarations
+ */
+async function loadContentScript(fixture, { url = 'https://calendar.google.com/calendar/u/0/r', chrome, groups } = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+
+  window.chrome = chrome || createChromeMock();
+  if (groups) {
+    window.chrome.storage.sync.data.groups = structuredClone(groups);
+  }
+  simulateCheckboxes(window);
+
+  if (window.document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+  window.eval(`${CONTENT_SCRIPTS}\nwindow.__contentScript = { ${EXPORTS.join(', ')} };`);
+
+  return {
+    window,
+    document: window.document,
+    chrome: window.chrome,
+    ...window.__contentScript,
+    // Let pending chrome mock callbacks run before the document goes away
+    close: async () => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      window.close();
+    }
+  };
+}
+
+/**
+ * Read the checked state of every calendar checkbox, keyed by its label
+ * @param {Document} document - Fixture document
+ * @returns {Object} Checked state keyed by title, aria-label or label text
+ */
+function getCheckboxStates(document) {
+  const states = {};
+  document.querySelectorAll('[role="checkbox"], input[type="checkbox"]').forEach(checkbox => {
+    const label = checkbox.getAttribute('title') || checkbox.getAttribute('aria-label') ||
+                  checkbox.closest('label')?.textContent.trim();
+    states[label] = checkbox.getAttribute('aria-checked') === 'true' || checkbox.checked === true;
+  });
+  return states;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} predicate - Condition to check
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<void>} Resolves once the predicate returns a truthy value
+ */
+async function waitFor(predicate, timeout = 2000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { loadContentScript, getCheckboxStates, waitFor };
@@ -0,0 +1,31 @@
+/**
+ * Groups and initial calendar visibility of the material-sidebar-ja.html fixture
+ */
+
+const GROUPS = {
+  work: {
+    name: '仕事',
+    calendars: ['work@group.calendar.google.com', 'team@group.calendar.google.com'],
+    createdAt: 1,
+    updatedAt: 1
+  },
+  family: {
+    name: '家族',
+    calendars: ['family@group.calendar.google.com'],
+    createdAt: 2,
+    updatedAt: 2
+  }
+};
+
+// Checked state of every checkbox in the fixture, keyed by its label
+const INITIAL_STATES = {
+  '山田 太郎': true,
+  '仕事': true,
+  'タスク': true,
+  '誕生日': false,
+  '家族': true,
+  'チーム': false,
+  '日本の祝日': true
+};
+
+module.exports = { GROUPS, INITIAL_STATES };
@@ -0,0 +1,202 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackgroundScript } = require('./helpers/load-background');
+const { loadContentScript, getCheckboxStates, waitFor } = require('./helpers/load-content');
+const { createChromeMock } = require('./helpers/chrome-mock');
+const { GROUPS: CALENDAR_GROUPS, INITIAL_STATES } = require('./helpers/material-sidebar');
+
+const ACCOUNT = 'taro@example.com';
+
+const GROUPS = {
+  work: { name: '仕事', calendars: [], account: ACCOUNT, createdAt: 1 },
+  meeting: { name: '会議', calendars: [], account: ACCOUNT, createdAt: 2 },
+  night: { name: '夜勤', calendars: [], account: ACCOUNT, createdAt: 3 },
+  family: { name: '家族', calendars: [], account: ACCOUNT, createdAt: 4 },
+  other: { name: '別アカウント', calendars: [], account: 'hanako@example.com', createdAt: 5 }
+};
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Local time in the week of Sunday 2026-10-18
+ * @param {number} day - Day of the week (0 = Sunday, 7 = the following Sunday)
+ * @param {string} time - "HH:MM"
+ * @returns {Date} Point in time
+ */
+function at(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2026, 9, 18 + day, hours, minutes);
+}
+
+describe('background schedules', () => {
+  /**
+   * Load the background worker with schedules and settings in sync storage
+   */
+  function setup({ schedules = [], settings = {}, tabs, tabHandlers } = {}) {
+    const chrome = createChromeMock({ tabs, tabHandlers });
+    chrome.storage.sync.data.groups = structuredClone(GROUPS);
+    chrome.storage.sync.data.schedules = schedules;
+    chrome.storage.sync.data.settings = settings;
+    chrome.storage.local.data.accountEmails = { u0: ACCOUNT, u1: 'hanako@example.com' };
+    return loadBackgroundScript({ chrome });
+  }
+
+  /**
+   * Get the group the schedules of the test account select at a point in time
+   */
+  function scheduledGroupAt(background, day, time) {
+    return background.getScheduledGroupId(at(day, time), ACCOUNT, { u0: ACCOUNT });
+  }
+
+  it('selects a weekday 9:00-18:00 schedule only inside its range', async () => {
+    const background = setup({
+      schedules: [{ groupId: 'work', days: WEEKDAYS, start: '09:00', end: '18:00' }]
+    });
+
+    assert.equal(await scheduledGroupAt(background, 1, '09:00'), 'work');
+    assert.equal(await scheduledGroupAt(background, 5, '17:59'), 'work');
+    assert.equal(await scheduledGroupAt(background, 1, '08:59'), null);
+    assert.equal(await scheduledGroupAt(background, 1, '18:00'), null);
+    assert.equal(await scheduledGroupAt(background, 6, '12:00'), null);
+  });
+
+  it('runs a 22:00-02:00 schedule past midnight, including from Sunday into Monday', async () => {
+    const background = setup({
+      schedules: [{ groupId: 'night', days: [0, 5], start: '22:00', end: '02:00' }]
+    });
+
+    assert.equal(await scheduledGroupAt(background, 0, '23:30'), 'night');
+    assert.equal(await scheduledGroupAt(background, 1, '01:59'), 'night');
+    assert.equal(await scheduledGroupAt(background, 6, '00:30'), 'night');
+    assert.equal(await scheduledGroupAt(background, 1, '02:00'), null);
+    assert.equal(await scheduledGroupAt(background, 1, '22:30'), null);
+    assert.equal(await scheduledGroupAt(background, 0, '01:00'), null);
+  });
+
+  it('lets the earlier of two overlapping schedules win', async () => {
+    const workDay = { groupId: 'work', days: WEEKDAYS, start: '09:00', end: '18:00' };
+    const meeting = { groupId: 'meeting', days: [1], start: '12:00', end: '13:00' };
+
+    const workFirst = setup({ schedules: [workDay, meeting] });
+    assert.equal(await scheduledGroupAt(workFirst, 1, '12:30'), 'work');
+
+    const meetingFirst = setup({ schedules: [meeting, workDay] });
+    assert.equal(await scheduledGroupAt(meetingFirst, 1, '12:30'), 'meeting');
+    assert.equal(await scheduledGroupAt(meetingFirst, 1, '13:00'), 'work');
+  });
+
+  it('uses the fallback group of the account outside every schedule', async () => {
+    const background = setup({
+      schedules: [{ groupId: 'work', days: WEEKDAYS, start: '09:00', end: '18:00' }],
+      settings: { scheduleFallbackGroups: { [ACCOUNT]: 'family', 'hanako@example.com': 'work' } }
+    });
+
+    assert.equal(await scheduledGroupAt(background, 1, '10:00'), 'work');
+    assert.equal(await scheduledGroupAt(background, 6, '10:00'), 'family');
+    // A fallback pointing at another account's group is ignored
+    assert.equal(await background.getScheduledGroupId(at(6, '10:00'), 'hanako@example.com'), null);
+  });
+
+  it('ignores the schedules of other accounts', async () => {
+    const background = setup({
+      schedules: [{ groupId: 'other', days: WEEKDAYS, start: '09:00', end: '18:00' }]
+    });
+
+    assert.equal(await scheduledGroupAt(background, 1, '10:00'), null);
+    assert.equal(await background.getScheduledGroupId(at(1, '10:00'), 'hanako@example.com'), 'other');
+  });
+
+  it('finds the next start or end of a schedule', () => {
+    const background = setup();
+    const workDay = { groupId: 'work', days: WEEKDAYS, start: '09:00', end: '18:00' };
+    const night = { groupId: 'night', days: [0], start: '22:00', end: '02:00' };
+    const nextBoundary = (schedules, day, time) =>
+      background.getNextScheduleBoundary(schedules, at(day, time)).getTime();
+
+    assert.equal(nextBoundary([workDay], 1, '08:00'), at(1, '09:00').getTime());
+    assert.equal(nextBoundary([workDay], 1, '09:00'), at(1, '18:00').getTime());
+    assert.equal(nextBoundary([workDay], 5, '20:00'), at(8, '09:00').getTime());
+    assert.equal(nextBoundary([night], 0, '23:00'), at(1, '02:00').getTime());
+    assert.equal(nextBoundary([workDay, night], 1, '01:00'), at(1, '02:00').getTime());
+    assert.equal(background.getNextScheduleBoundary([], at(1, '08:00')), null);
+  });
+
+  it('applies the scheduled group to the Calendar tabs of each account', async () => {
+    const background = setup({
+      schedules: [
+        { groupId: 'work', days: WEEKDAYS, start: '09:00', end: '18:00' },
+        { groupId: 'other', days: WEEKDAYS, start: '09:00', end: '18:00' }
+      ],
+      tabs: [
+        { id: 1, url: 'https://calendar.google.com/calendar/u/0/r' },
+        { id: 2, url: 'https://calendar.google.com/calendar/u/1/r/week' },
+        { id: 3, url: 'https://example.com/' }
+      ],
+      tabHandlers: { applyActiveGroups: () => ({ success: true }) }
+    });
+
+    const results = await background.applyScheduledGroup(at(1, '10:00'));
+
+    assert.deepEqual([...results].map(result => ({ ...result })), [
+      { tabId: 1, success: true },
+      { tabId: 2, success: true }
+    ]);
+    assert.deepEqual(background.chrome.tabs.sentMessages.map(({ tabId, message }) => [tabId, [...message.activeGroups]]), [
+      [1, ['work']],
+      [2, ['other']]
+    ]);
+  });
+
+  it('shows all calendars again where the schedule that ended without a fallback had applied its group', async () => {
+    const activeGroupsByTab = { 1: ['work'], 2: ['family'] };
+    const background = setup({
+      schedules: [{ groupId: 'work', days: WEEKDAYS, start: '09:00', end: '18:00' }],
+      tabs: [
+        { id: 1, url: 'https://calendar.google.com/calendar/u/0/r' },
+        { id: 2, url: 'https://calendar.google.com/calendar/u/0/r/week' }
+      ],
+      tabHandlers: {
+        getState: (message, tabId) => ({ activeGroups: activeGroupsByTab[tabId], groupModes: {} }),
+        applyActiveGroups: () => ({ success: true })
+      }
+    });
+
+    const results = await background.applyScheduledGroup(at(1, '18:00'));
+
+    assert.deepEqual([...results].map(result => ({ ...result })), [{ tabId: 1, success: true }]);
+    const applied = background.chrome.tabs.sentMessages.filter(({ message }) => message.action === 'applyActiveGroups');
+    assert.deepEqual(applied.map(({ tabId, message }) => [tabId, [...message.activeGroups]]), [[1, []]]);
+
+    // Away from the end of a schedule the tabs are left alone
+    background.chrome.tabs.sentMessages.length = 0;
+    assert.deepEqual([...await background.applyScheduledGroup(at(1, '20:00'))], []);
+    assert.deepEqual(background.chrome.tabs.sentMessages, []);
+  });
+});
+
+describe('scheduled group on load', () => {
+  let env;
+
+  afterEach(async () => {
+    if (env) await env.close();
+    env = null;
+  });
+
+  it('applies the scheduled group once the calendar list has loaded', async () => {
+    const chrome = createChromeMock({ runtimeHandlers: { getScheduledGroup: () => ({ groupId: 'family' }) } });
+    env = await loadContentScript('material-sidebar-ja.html', { groups: CALENDAR_GROUPS, chrome });
+    const changes = () => env.chrome.runtime.sentMessages
+      .filter(message => message.action === 'activeGroupsChanged' && message.activeGroups.length > 0);
+
+    await waitFor(() => changes().length > 0, 5000);
+
+    assert.deepEqual(changes()[0].activeGroups, ['family']);
+    assert.equal(changes()[0].propagate, false);
+    assert.deepEqual(getCheckboxStates(env.document), {
+      ...INITIAL_STATES,
+      '山田 太郎': false,
+      '仕事': false,
+      '日本の祝日': false
+    });
+  });
+});
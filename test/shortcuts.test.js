@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackgroundScript } = require('./helpers/load-background');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+const ACCOUNT = 'taro@example.com';
+
+const GROUPS = {
+  work: { name: '仕事', calendars: [], account: ACCOUNT, createdAt: 1 },
+  family: { name: '家族', calendars: [], account: ACCOUNT, createdAt: 2 },
+  hobby: { name: '趣味', calendars: [], account: ACCOUNT, createdAt: 3 },
+  other: { name: '別アカウント', calendars: [], account: 'hanako@example.com', createdAt: 4 }
+};
+
+describe('background keyboard shortcuts', () => {
+  /**
+   * Load the background worker with an active Calendar tab of the test account
+   */
+  function setup({ shortcutSlots = [], tabHandlers = {} } = {}) {
+    const chrome = createChromeMock({
+      tabs: [{ id: 1, active: true, url: 'https://calendar.google.com/calendar/u/0/r' }],
+      tabHandlers
+    });
+    chrome.storage.sync.data.groups = structuredClone(GROUPS);
+    chrome.storage.sync.data.shortcutSlots = shortcutSlots;
+    chrome.storage.local.data.accountEmails = { u0: ACCOUNT, u1: 'hanako@example.com' };
+    return loadBackgroundScript({ chrome });
+  }
+
+  /**
+   * Get the group IDs the shortcuts sent to the tab
+   */
+  function sentGroupIds(background) {
+    return background.chrome.tabs.sentMessages
+      .filter(({ message }) => message.action !== 'getState')
+      .map(({ message }) => message.groupId || [...message.activeGroups]);
+  }
+
+  it('falls back to the group at the slot position when the assigned group is gone', async () => {
+    const background = setup({ shortcutSlots: [null, 'deleted', 'other'] });
+
+    await background.handleCommand('activate-group-1');
+    await background.handleCommand('activate-group-2');
+    await background.handleCommand('activate-group-3');
+
+    assert.deepEqual(sentGroupIds(background), ['work', 'family', 'hobby']);
+  });
+
+  it('uses the group assigned to a slot', async () => {
+    const background = setup({ shortcutSlots: ['hobby'] });
+
+    await background.handleCommand('activate-group-1');
+    await background.handleCommand('activate-group-4');
+
+    assert.deepEqual(sentGroupIds(background), ['hobby']);
+  });
+
+  it('cycles to an already active group by setting it on its own instead of toggling it', async () => {
+    const background = setup({
+      tabHandlers: {
+        getState: () => ({ activeGroups: ['work', 'hobby'], groupModes: { work: 'solo', hobby: 'solo' } })
+      }
+    });
+
+    await background.handleCommand('next-group');
+
+    const [, { message }] = background.chrome.tabs.sentMessages;
+    assert.equal(message.action, 'applyActiveGroups');
+    assert.deepEqual([...message.activeGroups], ['work']);
+    assert.deepEqual({ ...message.groupModes }, { work: 'solo' });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackgroundScript } = require('./helpers/load-background');
+const { createChromeMock } = require('./helpers/chrome-mock');
+
+describe('background tab sync', () => {
+  it('stores which tabs did not follow a group switch for the popup', async () => {
+    const chrome = createChromeMock({
+      tabs: [
+        { id: 1, title: '仕事 - Google カレンダー', url: 'https://calendar.google.com/calendar/u/0/r' },
+        { id: 2, title: '週 - Google カレンダー', url: 'https://calendar.google.com/calendar/u/0/r/week' },
+        { id: 3, title: '月 - Google カレンダー', url: 'https://calendar.google.com/calendar/u/0/r/month' },
+        { id: 4, title: '別アカウント', url: 'https://calendar.google.com/calendar/u/1/r' }
+      ],
+      tabHandlers: {
+        applyActiveGroups: (message, tabId) => tabId === 2
+          ? { success: true, report: { failed: [] } }
+          : { error: 'Group not found: work' }
+      }
+    });
+    chrome.storage.sync.data.settings = { syncAcrossTabs: true };
+    const background = loadBackgroundScript({ chrome });
+    const sourceTab = { id: 1, url: 'https://calendar.google.com/calendar/u/0/r' };
+    let response = null;
+
+    await background.handleActiveGroupsChanged(sourceTab, {
+      activeGroups: ['work'],
+      groupModes: { work: 'solo' },
+      propagate: true
+    }, (result) => { response = result; });
+
+    assert.deepEqual({ ...response }, { success: true });
+    assert.deepEqual(chrome.tabs.sentMessages.map(({ tabId }) => tabId), [2, 3]);
+    const { results } = chrome.storage.session.data.syncResult_1;
+    assert.deepEqual(results.map(result => [result.tabId, result.title, result.success]), [
+      [2, '週 - Google カレンダー', true],
+      [3, '月 - Google カレンダー', false]
+    ]);
+    assert.equal(results[1].error, 'Group not found: work');
+  });
+
+  it('does not touch other tabs while sync is off', async () => {
+    const chrome = createChromeMock({
+      tabs: [
+        { id: 1, url: 'https://calendar.google.com/calendar/u/0/r' },
+        { id: 2, url: 'https://calendar.google.com/calendar/u/0/r/week' }
+      ]
+    });
+    const background = loadBackgroundScript({ chrome });
+    const sourceTab = { id: 1, url: 'https://calendar.google.com/calendar/u/0/r' };
+
+    await background.handleActiveGroupsChanged(sourceTab, {
+      activeGroups: ['work'],
+      groupModes: { work: 'solo' },
+      propagate: true
+    }, () => {});
+
+    assert.deepEqual(chrome.tabs.sentMessages, []);
+    assert.equal(chrome.storage.session.data.syncResult_1, undefined);
+  });
+});